@@ -0,0 +1,38 @@
+import { cpSync, mkdirSync } from "node:fs";
+import { fileURLToPath } from "node:url";
+
+/* =======================
+  Copy Model Decoders
+======================= */
+// Copies the Draco and Basis (KTX2) decoders that ship with three.js into
+// public/decoders, so compressed booth models load without a CDN and the
+// booth keeps working on offline exhibition networks. The copies match the
+// installed three.js version and are not committed.
+
+const libs = new URL(
+  "../node_modules/three/examples/jsm/libs/",
+  import.meta.url
+);
+const target = new URL("../public/decoders/", import.meta.url);
+
+const DECODERS = {
+  draco: [
+    "draco/gltf/draco_decoder.js",
+    "draco/gltf/draco_decoder.wasm",
+    "draco/gltf/draco_wasm_wrapper.js",
+  ],
+  basis: ["basis/basis_transcoder.js", "basis/basis_transcoder.wasm"],
+};
+
+Object.entries(DECODERS).forEach(([name, files]) => {
+  const directory = new URL(`${name}/`, target);
+  mkdirSync(directory, { recursive: true });
+
+  files.forEach((file) => {
+    const source = new URL(file, libs);
+    const destination = new URL(file.split("/").pop(), directory);
+    cpSync(fileURLToPath(source), fileURLToPath(destination));
+  });
+});
+
+console.log(`Copied model decoders to ${fileURLToPath(target)}`);
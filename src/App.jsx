@@ -4,7 +4,10 @@ import LandmarkMarketsBooth from './LandmarkMarketsBooth'
  const App = () => {
   return (
     <div style={{ width: "100vw", height: "100vh" }}>
-      <LandmarkMarketsBooth modelPath="/6.glb" />
+      <LandmarkMarketsBooth
+        modelPath="/6.glb"
+        theatreState="/Broker Booth.theatre-project-state.json"
+      />
     </div>
   );
 }
@@ -1,220 +1,566 @@
-import { useRef, useState, useEffect, Suspense } from "react";
-import { Canvas, useThree, useFrame } from "@react-three/fiber";
-import { useGLTF, useAnimations, Environment } from "@react-three/drei";
+import {
+  useRef,
+  useState,
+  useEffect,
+  useMemo,
+  useCallback,
+  useImperativeHandle,
+  Suspense,
+  Component,
+} from "react";
+import { Canvas, useThree, useFrame, useLoader } from "@react-three/fiber";
+import {
+  useAnimations,
+  Environment,
+  OrbitControls,
+  Html,
+  PerformanceMonitor,
+} from "@react-three/drei";
+import {
+  EffectComposer,
+  Bloom,
+  DepthOfField,
+  LUT,
+  Noise,
+  ToneMapping,
+  Vignette,
+} from "@react-three/postprocessing";
+import { LUT3dlLoader, LUTCubeLoader } from "postprocessing";
 import * as THREE from "three";
-
-/* =======================
-  Advanced Easing Functions
-======================= */
-const easings = {
-  // Smooth ease-in-out (default)
-  easeInOutCubic: (t) => {
-    return t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
-  },
-
-  // Extra smooth ease-in-out
-  easeInOutQuint: (t) => {
-    return t < 0.5 ? 16 * t * t * t * t * t : 1 - Math.pow(-2 * t + 2, 5) / 2;
-  },
-
-  // Gentle acceleration
-  easeOutQuad: (t) => {
-    return 1 - (1 - t) * (1 - t);
-  },
-
-  // Ultra-smooth hermite interpolation
-  smootherstep: (t) => {
-    return t * t * t * (t * (t * 6 - 15) + 10);
-  },
-};
+import { GLTFLoader } from "three/examples/jsm/loaders/GLTFLoader.js";
+import { easings } from "./easings";
+import { sampleCameraPath, sampleCameraPathBetween } from "./cameraPath";
+import { sampleKeyframes, isCutAt } from "./keyframes";
+import {
+  Timeline,
+  buildTimelineSegments,
+  findSegment,
+  isSameSegment,
+} from "./timeline";
+import { createPngSequenceWriter, createWebmWriter } from "./frameExport";
+import { downloadBlob } from "./download";
+import { frameBox } from "./framing";
+import { resolveHotspots, isVideoUrl } from "./hotspots";
+import { DEFAULT_PLAYLIST, buildPlaylistOrder, holdAfter } from "./playlist";
+import {
+  DEFAULT_ANIMATION_PLAYBACK,
+  applyPlayback,
+  normalizeLayers,
+  layerClip,
+} from "./animationLayers";
+import {
+  compressedModelSupport,
+  detectDeviceTier,
+  pickModelVariant,
+  describeModelError,
+  formatMegabytes,
+} from "./modelLoading";
+import {
+  AUTO_QUALITY_START,
+  QualityContext,
+  resolveQuality,
+  useShadowProps,
+} from "./quality";
+import {
+  DEFAULT_HALF_LIVES,
+  ScalarSpring,
+  VectorSpring,
+  QuaternionSpring,
+} from "./damping";
+import {
+  parseScenes,
+  parseLightRig,
+  placeEffectKeyframes,
+  placeScene,
+  useSceneDefinition,
+} from "./sceneFormat";
+import {
+  DEFAULT_LIGHT_RIG,
+  LIGHT_TYPES,
+  blendLightValue,
+  readLightValue,
+  applyLightValue,
+  prepareRectAreaLights,
+} from "./lightRig";
+import {
+  resolvePostProcessing,
+  activeEffects,
+  completeEffectKeyframes,
+  blendEffectValues,
+  overlayFocusValues,
+  applyEffectValues,
+  setExposure,
+} from "./postProcessing";
+import {
+  createTransitionCompositor,
+  copyScreen,
+  drawTransition,
+  disposeTransitionCompositor,
+} from "./transitions";
+import {
+  resolveIntro,
+  introOrbit,
+  introPose,
+  introEndCamera,
+  markIntroSeen,
+  shouldPlayIntro,
+} from "./intro";
+import defaultScenes from "./scenes/default.json";
+import {
+  useTheatreSheet,
+  seekTheatreSheet,
+  exportTheatreState,
+} from "./theatre";
 
 /* =======================
   360° Rotation Camera - Plays Once on Load
 ======================= */
-function Rotation360Camera({ isActive, onComplete }) {
-  const { camera } = useThree();
-  const startTime = useRef(Date.now());
-  const radius = 8;
-  const height = 3;
-  const rotationDuration = 10; // 10 seconds for one full rotation
-  const transitionDuration = 2; // 2 seconds for transition to first scene position
-  const hasCompleted = useRef(false);
-  const isTransitioning = useRef(false);
-  const transitionStartTime = useRef(null);
-
-  // Store the position at end of rotation
-  const rotationEndPosition = useRef(new THREE.Vector3());
+const RETURN_DURATION = 2; // 2 seconds back to the 360 end position
+
+// The camera pose is a pure function of the timeline time, so the intro can
+// be paused, scrubbed and replayed at any rate. An auto-fitted orbit is
+// measured off the model when the intro starts; the model loads in its own
+// Suspense boundary, so until then the orbit is measured again every frame.
+function Rotation360Camera({ timeline, segment, intro, modelRef }) {
+  const orbit = useRef(null);
+
+  useFrame(({ camera }) => {
+    if (!orbit.current?.measured) {
+      const model = modelRef.current;
+      const box = model ? new THREE.Box3().setFromObject(model) : null;
+      // The intro starts playing once the model is loaded and in place
+      const started = timeline.playing || timeline.time > segment.start;
+      orbit.current = {
+        ...introOrbit(intro, box, camera.aspect),
+        measured: started && Boolean(box) && !box.isEmpty(),
+      };
+    }
 
-  useFrame(() => {
-    if (isActive && !hasCompleted.current) {
-      const elapsed = (Date.now() - startTime.current) / 1000;
-      const progress = elapsed / rotationDuration;
+    const pose = introPose(intro, orbit.current, timeline.time - segment.start);
+    camera.position.copy(pose.position);
+    camera.lookAt(pose.lookAt);
+    camera.fov = pose.fov;
+    camera.updateProjectionMatrix();
+  });
 
-      if (progress >= 1 && !isTransitioning.current) {
-        // Rotation complete - start transition
-        isTransitioning.current = true;
-        transitionStartTime.current = Date.now();
+  return null;
+}
 
-        // Store current position
-        rotationEndPosition.current.copy(camera.position);
-        return;
-      }
+/* =======================
+  Transition Back to 360 End Position
+======================= */
+function TransitionTo360End({ timeline, segment, end }) {
+  const start = useRef(null);
+
+  useFrame(({ camera }) => {
+    // Start from wherever the last scene left the camera, looking as far
+    // ahead as the end pose's look-at point
+    if (!start.current) {
+      const distance = camera.position.distanceTo(end.lookAt);
+      start.current = {
+        position: camera.position.clone(),
+        lookAt: camera
+          .getWorldDirection(new THREE.Vector3())
+          .multiplyScalar(distance)
+          .add(camera.position),
+        fov: camera.fov,
+      };
+    }
 
-      if (isTransitioning.current) {
-        // Smooth transition to first scene position
-        const transitionElapsed =
-          (Date.now() - transitionStartTime.current) / 1000;
-        const transitionProgress = Math.min(
-          transitionElapsed / transitionDuration,
-          1
-        );
+    const elapsed = timeline.time - segment.start;
+    const progress = THREE.MathUtils.clamp(elapsed / RETURN_DURATION, 0, 1);
+    const ease = easings.easeInOutCubic(progress);
+    const from = start.current;
+
+    camera.position.lerpVectors(from.position, end.position, ease);
+    camera.fov = THREE.MathUtils.lerp(from.fov, end.fov, ease);
+    camera.updateProjectionMatrix();
+    camera.lookAt(
+      new THREE.Vector3().lerpVectors(from.lookAt, end.lookAt, ease)
+    );
+  });
 
-        // Smooth easing
-        const ease =
-          transitionProgress < 0.5
-            ? 4 * transitionProgress * transitionProgress * transitionProgress
-            : 1 - Math.pow(-2 * transitionProgress + 2, 3) / 2;
+  return null;
+}
 
-        // Target position (first scene's first keyframe)
-        const targetPosition = new THREE.Vector3(15, 8, 15);
+/* =======================
+  Seek Snapping
+======================= */
+// Returns a function telling the first frame after a seek to snap, so
+// smoothed controllers jump straight to the scrubbed pose instead of
+// springing across the cut
+function useSeekSnap(timeline) {
+  const snap = useRef(false);
+
+  useEffect(
+    () =>
+      timeline.on("seek", () => {
+        snap.current = true;
+      }),
+    [timeline]
+  );
 
-        // Interpolate position
-        camera.position.lerpVectors(
-          rotationEndPosition.current,
-          targetPosition,
-          ease
-        );
+  return useCallback(() => {
+    const snapping = snap.current;
+    snap.current = false;
+    return snapping;
+  }, []);
+}
 
-        // Interpolate FOV
-        const startFov = 50;
-        const targetFov = 70;
-        camera.fov = startFov + (targetFov - startFov) * ease;
-        camera.updateProjectionMatrix();
+/* =======================
+  Timeline Driver
+======================= */
+// Advances the shared timeline once per frame, before any controller reads
+// it. Long stalls (e.g. a backgrounded tab) are clamped so the cinematic
+// resumes where it left off instead of jumping ahead. Exports step the frame
+// loop by hand ("never"), and each of their steps is exact, however long.
+//
+// The canvas only renders on demand, so the driver also keeps frames coming
+// while the timeline plays and asks for one after every seek.
+function TimelineDriver({ timeline }) {
+  const invalidate = useThree((state) => state.invalidate);
 
-        camera.lookAt(0, 0, 0);
+  useEffect(() => {
+    const offPlay = timeline.on("play", () => invalidate());
+    const offSeek = timeline.on("seek", () => invalidate());
+    return () => {
+      offPlay();
+      offSeek();
+    };
+  }, [timeline, invalidate]);
 
-        if (transitionProgress >= 1) {
-          // Transition complete
-          hasCompleted.current = true;
-          if (onComplete) {
-            onComplete();
-          }
-        }
-        return;
-      }
+  useFrame(({ invalidate, frameloop }, delta) => {
+    timeline.update(frameloop === "never" ? delta : Math.min(delta, 0.1));
+    if (timeline.playing) invalidate();
+  }, -1);
 
-      // Normal rotation
-      const angle = progress * Math.PI * 2; // Complete 360° rotation
+  return null;
+}
 
-      camera.position.x = Math.sin(angle) * radius;
-      camera.position.z = Math.cos(angle) * radius;
-      camera.position.y = height;
-      camera.lookAt(0, 1, 0);
+/* =======================
+  Segment Commits
+======================= */
+// Reports each segment once the canvas has mounted its controllers, so an
+// export only renders a new segment once its camera is in place
+function SegmentCommit({ segment, onCommit }) {
+  useEffect(() => onCommit(segment), [segment, onCommit]);
+  return null;
+}
 
-      // Maintain consistent FOV during rotation
-      camera.fov = 50;
-      camera.updateProjectionMatrix();
-    }
-  });
+/* =======================
+  Shadow Map Resizing
+======================= */
+// three.js keeps a light's shadow map at the size it was first rendered at.
+// Drop the maps when the quality level changes their size, so they are
+// recreated at the new one.
+function ShadowMapResizer({ size }) {
+  const get = useThree((state) => state.get);
 
-  // Reset when isActive changes
   useEffect(() => {
-    if (isActive) {
-      startTime.current = Date.now();
-      hasCompleted.current = false;
-      isTransitioning.current = false;
-      transitionStartTime.current = null;
-    }
-  }, [isActive]);
+    get().scene.traverse((object) => {
+      if (object.isLight && object.shadow?.map) {
+        object.shadow.map.dispose();
+        object.shadow.map = null;
+      }
+    });
+  }, [get, size]);
 
   return null;
 }
 
 /* =======================
-  Transition Back to 360 End Position
+  Free-Look Orbit Controls
 ======================= */
-function TransitionTo360End({ isActive, onComplete }) {
-  const { camera } = useThree();
-  const startTime = useRef(null);
-  const startPosition = useRef(new THREE.Vector3());
-  const startFov = useRef(50);
-  const transitionDuration = 2; // 2 seconds
-  const hasCompleted = useRef(false);
+const DEFAULT_FREE_LOOK = {
+  minDistance: 2,
+  maxDistance: 30,
+  minPolarAngle: 0.1,
+  maxPolarAngle: Math.PI / 2 - 0.05,
+  floorHeight: 0.3, // lowest camera height above the ground plane
+  dampingFactor: 0.08, // share of the remaining glide per frame at 60fps
+  pivot: [0, 1, 0], // point the orbit target is picked around
+  handoffDuration: 1.5, // seconds to blend back into a cinematic
+};
 
-  useEffect(() => {
-    if (isActive && !hasCompleted.current) {
-      startTime.current = Date.now();
-      startPosition.current.copy(camera.position);
-      startFov.current = camera.fov;
+// Orbit/pan/zoom for visitors while no cinematic is playing. Takes over from
+// the camera's current pose: the orbit target is placed on the current line
+// of sight, as deep as the pivot, so enabling the controls never jumps.
+function FreeLookControls({ config, onInteract }) {
+  const controlsRef = useRef();
+  const get = useThree((state) => state.get);
+  const placed = useRef(false);
+
+  // Runs before the controls' own update on the first frame
+  useFrame(({ camera }) => {
+    const controls = controlsRef.current;
+    if (placed.current || !controls) return;
+    placed.current = true;
+
+    const forward = camera.getWorldDirection(new THREE.Vector3());
+    const pivot = new THREE.Vector3(...config.pivot);
+    const distance = THREE.MathUtils.clamp(
+      pivot.sub(camera.position).dot(forward),
+      config.minDistance,
+      config.maxDistance
+    );
+    controls.target.copy(camera.position).addScaledVector(forward, distance);
+  }, -2);
+
+  // OrbitControls damps by a fixed share per frame, so the glide would last
+  // half as long at 120fps as at 60fps. Scale the share to the frame's
+  // length (clamped like the timeline, for the first frame after idling).
+  useFrame((state, delta) => {
+    const controls = controlsRef.current;
+    if (!controls) return;
+    const frames = Math.min(delta, 0.1) * 60;
+    controls.dampingFactor = 1 - Math.pow(1 - config.dampingFactor, frames);
+  }, -2);
+
+  // Keep the camera and the orbit target above the floor
+  const handleChange = () => {
+    const controls = controlsRef.current;
+    const { camera } = get();
+    if (!controls) return;
+
+    controls.target.y = Math.max(controls.target.y, 0);
+    if (camera.position.y < config.floorHeight) {
+      camera.position.y = config.floorHeight;
     }
-  }, [isActive]);
+  };
+
+  return (
+    <OrbitControls
+      ref={controlsRef}
+      makeDefault
+      enableDamping
+      dampingFactor={config.dampingFactor}
+      minDistance={config.minDistance}
+      maxDistance={config.maxDistance}
+      minPolarAngle={config.minPolarAngle}
+      maxPolarAngle={config.maxPolarAngle}
+      onChange={handleChange}
+      onStart={onInteract}
+    />
+  );
+}
+
+/* =======================
+  Hotspots
+======================= */
+// Marker floating just above a node's bounding box. The anchor is kept in
+// the node's local space, so the marker follows the node if it moves.
+function HotspotMarker({ hotspot, occlude, selected, onSelect }) {
+  const groupRef = useRef();
+  const anchor = useRef(null);
 
   useFrame(() => {
-    if (isActive && !hasCompleted.current && startTime.current) {
-      const elapsed = (Date.now() - startTime.current) / 1000;
-      const progress = Math.min(elapsed / transitionDuration, 1);
+    const { node } = hotspot;
+    if (!anchor.current) {
+      const box = new THREE.Box3().setFromObject(node);
+      const top = box.getCenter(new THREE.Vector3()).setY(box.max.y + 0.15);
+      anchor.current = node.worldToLocal(top);
+    }
+    groupRef.current.position
+      .copy(anchor.current)
+      .applyMatrix4(node.matrixWorld);
+  });
 
-      // Smooth easing
-      const ease =
-        progress < 0.5
-          ? 4 * progress * progress * progress
-          : 1 - Math.pow(-2 * progress + 2, 3) / 2;
+  return (
+    <group ref={groupRef}>
+      <Html center occlude={occlude} zIndexRange={[9, 0]}>
+        <button
+          onClick={() => onSelect(hotspot)}
+          aria-label={hotspot.label}
+          aria-pressed={selected}
+          style={{
+            padding: "6px 12px",
+            background: selected
+              ? "linear-gradient(135deg, #f093fb 0%, #f5576c 100%)"
+              : "rgba(0, 0, 0, 0.75)",
+            color: "white",
+            border: "1px solid rgba(255, 255, 255, 0.4)",
+            borderRadius: "20px",
+            cursor: "pointer",
+            fontSize: "12px",
+            fontWeight: "700",
+            whiteSpace: "nowrap",
+            letterSpacing: "0.5px",
+            boxShadow: "0 4px 14px rgba(0, 0, 0, 0.5)",
+          }}
+        >
+          {hotspot.label}
+        </button>
+      </Html>
+    </group>
+  );
+}
 
-      // Target position (end of 360 rotation - where it started from angle 0)
-      const targetPosition = new THREE.Vector3(15, 8, 15);
+const FLY_TO_DURATION = 1.2; // seconds
+
+// Flies the camera to frame `object`, keeping the current viewing side. Also
+// moves the orbit target when free look is on, so orbiting continues around
+// the framed node.
+function CameraFlyTo({ object }) {
+  const flight = useRef(null);
+
+  useFrame(({ camera, controls, invalidate }, delta) => {
+    if (!flight.current) {
+      const box = new THREE.Box3().setFromObject(object);
+      const pose = frameBox(box, camera);
+      if (controls) {
+        const distance = THREE.MathUtils.clamp(
+          pose.distance,
+          controls.minDistance,
+          controls.maxDistance
+        );
+        pose.position.sub(pose.lookAt).setLength(distance).add(pose.lookAt);
+      }
 
-      // Interpolate position
-      camera.position.lerpVectors(startPosition.current, targetPosition, ease);
+      const forward = camera.getWorldDirection(new THREE.Vector3());
+      flight.current = {
+        elapsed: 0,
+        fromPosition: camera.position.clone(),
+        fromLookAt: controls
+          ? controls.target.clone()
+          : camera.position.clone().addScaledVector(forward, pose.distance),
+        pose,
+      };
+    }
 
-      // Interpolate FOV
-      const targetFov = 70;
-      camera.fov = startFov.current + (targetFov - startFov.current) * ease;
-      camera.updateProjectionMatrix();
+    const { pose, fromPosition, fromLookAt } = flight.current;
+    if (flight.current.elapsed >= FLY_TO_DURATION) return;
+
+    flight.current.elapsed = Math.min(
+      flight.current.elapsed + delta,
+      FLY_TO_DURATION
+    );
+    const ease = easings.easeInOutCubic(
+      flight.current.elapsed / FLY_TO_DURATION
+    );
+
+    const lookAt = new THREE.Vector3().lerpVectors(
+      fromLookAt,
+      pose.lookAt,
+      ease
+    );
+    camera.position.lerpVectors(fromPosition, pose.position, ease);
+    camera.lookAt(lookAt);
+    if (controls) controls.target.copy(lookAt);
+    invalidate();
+  });
 
-      camera.lookAt(0, 1, 0);
+  return null;
+}
 
-      if (progress >= 1) {
-        hasCompleted.current = true;
-        if (onComplete) {
-          onComplete();
+/* =======================
+  Offline Frame Renderer
+======================= */
+// Gives the export loop manual control over the render loop: the canvas is
+// switched to a fixed resolution and only renders when a frame is stepped,
+// independent of wall-clock time.
+function CinematicExporter({ ref }) {
+  const get = useThree((state) => state.get);
+
+  useImperativeHandle(ref, () => {
+    let restore = null;
+
+    return {
+      begin({ width, height, transparent }) {
+        const { gl, scene, camera, size, viewport, frameloop, setFrameloop } =
+          get();
+        const background = scene.background;
+        const clearAlpha = gl.getClearAlpha();
+
+        setFrameloop("never");
+        gl.setPixelRatio(1);
+        gl.setSize(width, height, false);
+        camera.aspect = width / height;
+        camera.updateProjectionMatrix();
+        if (transparent) {
+          scene.background = null;
+          gl.setClearAlpha(0);
         }
-      }
-    }
-  });
 
-  // Reset when isActive changes
-  useEffect(() => {
-    if (isActive) {
-      hasCompleted.current = false;
-      startTime.current = null;
-    }
-  }, [isActive]);
+        restore = () => {
+          scene.background = background;
+          gl.setClearAlpha(clearAlpha);
+          gl.setPixelRatio(viewport.dpr);
+          gl.setSize(size.width, size.height, false);
+          camera.aspect = size.width / size.height;
+          camera.updateProjectionMatrix();
+          setFrameloop(frameloop);
+          get().invalidate();
+        };
+      },
+
+      // Runs every useFrame callback and renders once. `time` is in seconds
+      // since begin(); stepping to the same time again renders without
+      // advancing anything.
+      renderFrame(time) {
+        get().advance(time);
+        return get().gl.domElement;
+      },
+
+      end() {
+        restore?.();
+        restore = null;
+      },
+    };
+  }, [get]);
 
   return null;
 }
 
 /* =======================
-  Scene Transition Manager
+  Scene Transitions
 ======================= */
-function SceneTransition({ isTransitioning, progress, fromScene, toScene }) {
-  const overlayRef = useRef();
-
-  useFrame(() => {
-    if (overlayRef.current && isTransitioning) {
-      // Fade in then out
-      const fadeProgress = progress < 0.5 ? progress * 2 : (1 - progress) * 2;
-      overlayRef.current.material.opacity = fadeProgress * 0.3;
+// Plays a scene's transition from the view the camera had when the scene
+// started. Both views are rendered every frame, through the post-processing
+// stack when there is one, copied off the screen and blended, so the
+// outgoing view stays live while it fades out.
+function SceneTransition({ transition, timeline, segment, composerRef }) {
+  const [compositor] = useState(createTransitionCompositor);
+  // Camera left at the pose the scene took over from
+  const fromCamera = useRef(null);
+
+  useEffect(() => () => disposeTransitionCompositor(compositor), [compositor]);
+
+  // Before the scene's camera moves on the first frame
+  useFrame(({ camera }) => {
+    if (!fromCamera.current) fromCamera.current = camera.clone();
+  }, -1);
+
+  // After the post-processing stack has drawn the scene's own view
+  useFrame(({ gl, scene, camera }) => {
+    const composer = composerRef.current;
+    // Taking over the render loop stops the default render
+    if (!composer) gl.render(scene, camera);
+
+    const progress = (timeline.time - segment.start) / transition.duration;
+    const from = fromCamera.current;
+    if (progress >= 1 || !from) return;
+
+    copyScreen(compositor, gl, "to");
+    from.aspect = camera.aspect;
+    from.updateProjectionMatrix();
+    if (composer) {
+      composer.setMainCamera(from);
+      composer.render(0);
+      composer.setMainCamera(camera);
+    } else {
+      gl.render(scene, from);
     }
-  });
+    copyScreen(compositor, gl, "from");
 
-  if (!isTransitioning) return null;
+    drawTransition(
+      compositor,
+      gl,
+      transition,
+      easings.easeInOutSine(Math.max(progress, 0))
+    );
+  }, 2);
 
-  return (
-    <mesh ref={overlayRef} position={[0, 0, -0.1]}>
-      <planeGeometry args={[100, 100]} />
-      <meshBasicMaterial color="#000000" transparent opacity={0} />
-    </mesh>
-  );
+  return null;
 }
 
 /* =======================
@@ -223,67 +569,106 @@ function SceneTransition({ isTransitioning, progress, fromScene, toScene }) {
 function CinematicCamera({
   isActive,
   keyframes,
-  progress,
+  getProgress,
   onComplete,
-  easingType = "smootherstep",
+  easing = easings.smootherstep,
+  path = null,
+  timeline,
+  damping = DEFAULT_HALF_LIVES,
+  handoff = 0,
+  focus = null,
+  cutIn = false,
 }) {
-  const { camera } = useThree();
-  const prevPosition = useRef(new THREE.Vector3());
-  const prevLookAt = useRef(new THREE.Vector3());
-  const velocity = useRef(new THREE.Vector3());
-
-  useEffect(() => {
+  // Springs start from the camera's current pose on the first frame
+  const springs = useRef(null);
+  // Pose the camera had before the scene took over, for `handoff`
+  const handoffFrom = useRef(null);
+  // Keyframe pair last played, to spot cuts
+  const lastSpan = useRef(0);
+  const takeSnap = useSeekSnap(timeline);
+
+  useFrame(({ camera }) => {
+    const progress = getProgress();
     if (isActive && keyframes && keyframes.length > 0) {
-      prevPosition.current.copy(camera.position);
-      prevLookAt.current.copy(new THREE.Vector3(0, 1, 0));
-    }
-  }, [isActive, keyframes]);
+      const targetPosition = new THREE.Vector3();
+      const lookAt = new THREE.Vector3();
+      let targetFov = null;
+
+      const span = sampleKeyframes(keyframes, progress, easing);
+      const { start: startFrame, end: endFrame, ease } = span;
+      const cut =
+        span.index > lastSpan.current && isCutAt(keyframes, span.index, easing);
+      lastSpan.current = span.index;
+
+      if (path && keyframes.some((keyframe) => keyframe.easing)) {
+        // Spline through the keyframes, on their times and easings
+        targetFov = sampleCameraPathBetween(
+          path,
+          span.index,
+          ease,
+          targetPosition,
+          lookAt
+        );
+      } else if (path) {
+        // Continuous spline: ease the whole scene, constant speed in between
+        targetFov = sampleCameraPath(
+          path,
+          easing(progress),
+          targetPosition,
+          lookAt
+        );
+      } else {
+        // Piecewise interpolation between the surrounding keyframes
+        targetPosition.lerpVectors(
+          startFrame.position,
+          endFrame.position,
+          ease
+        );
+        lookAt.lerpVectors(startFrame.lookAt, endFrame.lookAt, ease);
 
-  useFrame(() => {
-    if (isActive && keyframes && keyframes.length > 0) {
-      const totalDuration = keyframes[keyframes.length - 1].time;
-      const currentTime = progress * totalDuration;
-
-      let startFrame = keyframes[0];
-      let endFrame = keyframes[0];
-
-      for (let i = 0; i < keyframes.length - 1; i++) {
-        if (
-          currentTime >= keyframes[i].time &&
-          currentTime <= keyframes[i + 1].time
-        ) {
-          startFrame = keyframes[i];
-          endFrame = keyframes[i + 1];
-          break;
+        if (startFrame.fov && endFrame.fov) {
+          targetFov = THREE.MathUtils.lerp(startFrame.fov, endFrame.fov, ease);
+        }
+      }
+      // Depth of field focuses where the shot looks
+      focus?.copy(lookAt);
+
+      // A scene that starts with a transition starts on its own pose
+      const starting = !springs.current;
+      if (starting) {
+        handoffFrom.current = {
+          position: camera.position.clone(),
+          quaternion: camera.quaternion.clone(),
+          fov: camera.fov,
+        };
+        springs.current = {
+          position: new VectorSpring(camera.position),
+          rotation: new QuaternionSpring(camera.quaternion),
+          fov: new ScalarSpring(camera.fov),
+        };
+      }
+      const { position, rotation, fov } = springs.current;
+      // Smoothing runs on timeline time: paused means frozen, scrubbing snaps
+      const dt = timeline.delta;
+      const snapping = takeSnap() || cut || (starting && cutIn);
+
+      // Blend from wherever the visitor left the camera over the first
+      // `handoff` of the scene
+      const from = handoffFrom.current;
+      const handoffBlend =
+        progress < handoff ? easings.easeInOutCubic(progress / handoff) : 1;
+      if (handoffBlend < 1) {
+        targetPosition.lerpVectors(from.position, targetPosition, handoffBlend);
+        if (targetFov !== null) {
+          targetFov = THREE.MathUtils.lerp(from.fov, targetFov, handoffBlend);
         }
       }
 
-      const frameProgress =
-        endFrame.time === startFrame.time
-          ? 0
-          : (currentTime - startFrame.time) / (endFrame.time - startFrame.time);
-
-      // Apply advanced easing
-      const ease = easings[easingType](frameProgress);
-
-      // Smooth position interpolation with damping
-      const targetPosition = new THREE.Vector3().lerpVectors(
-        startFrame.position,
-        endFrame.position,
-        ease
-      );
-
-      // Add velocity-based smoothing
-      velocity.current
-        .subVectors(targetPosition, camera.position)
-        .multiplyScalar(0.15);
-      camera.position.add(velocity.current);
-
-      // Smooth lookAt interpolation
-      const lookAt = new THREE.Vector3().lerpVectors(
-        startFrame.lookAt,
-        endFrame.lookAt,
-        ease
+      // Critically damped position smoothing
+      camera.position.copy(
+        snapping
+          ? position.snap(targetPosition)
+          : position.update(targetPosition, damping.position, dt)
       );
 
       // Smooth camera rotation
@@ -294,16 +679,25 @@ function CinematicCamera({
         new THREE.Vector3(0, 1, 0)
       );
       targetQuaternion.setFromRotationMatrix(lookAtMatrix);
-      camera.quaternion.slerp(targetQuaternion, 0.1);
+      if (handoffBlend < 1) {
+        targetQuaternion.slerpQuaternions(
+          from.quaternion,
+          targetQuaternion,
+          handoffBlend
+        );
+      }
+
+      camera.quaternion.copy(
+        snapping
+          ? rotation.snap(targetQuaternion)
+          : rotation.update(targetQuaternion, damping.rotation, dt)
+      );
 
       // Smooth FOV interpolation
-      if (startFrame.fov && endFrame.fov) {
-        const targetFov = THREE.MathUtils.lerp(
-          startFrame.fov,
-          endFrame.fov,
-          ease
-        );
-        camera.fov += (targetFov - camera.fov) * 0.1;
+      if (targetFov !== null) {
+        camera.fov = snapping
+          ? fov.snap(targetFov)
+          : fov.update(targetFov, damping.fov, dt);
         camera.updateProjectionMatrix();
       }
 
@@ -316,119 +710,207 @@ function CinematicCamera({
   return null;
 }
 
+/* =======================
+  Light Rig
+======================= */
+// Renders the lights of a parsed rig at their base values. `lightsRef`
+// collects the light objects by name for whatever animates them.
+function LightRig({ rig, lightsRef }) {
+  const shadowProps = useShadowProps();
+
+  // Spot and directional lights aim at a target object, which has to be in
+  // the scene for its position to count
+  const targets = useMemo(
+    () =>
+      new Map(
+        rig
+          .filter(({ type }) => type === "spot" || type === "directional")
+          .map(({ name, values }) => {
+            const target = new THREE.Object3D();
+            target.position.copy(values.target);
+            return [name, target];
+          })
+      ),
+    [rig]
+  );
+
+  useEffect(() => {
+    if (rig.some(({ type }) => type === "rectArea")) prepareRectAreaLights();
+  }, [rig]);
+
+  return (
+    <>
+      {[...targets].map(([name, target]) => (
+        <primitive key={`${name}-target`} object={target} />
+      ))}
+      {rig.map(({ name, type, values }) => {
+        const Light = LIGHT_TYPES[type].element;
+        const {
+          target,
+          castShadow,
+          shadowBias,
+          shadowNormalBias,
+          shadowRadius,
+          ...props
+        } = values;
+
+        return (
+          <Light
+            key={name}
+            ref={(light) => {
+              if (lightsRef) lightsRef.current[name] = light;
+              // Rect-area lights face their target instead of tracking it
+              if (light && type === "rectArea") light.lookAt(target);
+            }}
+            {...props}
+            {...(targets.has(name) && { target: targets.get(name) })}
+            {...(castShadow !== undefined && {
+              castShadow: castShadow && shadowProps.castShadow,
+              "shadow-mapSize": shadowProps["shadow-mapSize"],
+              "shadow-bias": shadowBias,
+              "shadow-normalBias": shadowNormalBias,
+              "shadow-radius": shadowRadius,
+            })}
+          />
+        );
+      })}
+    </>
+  );
+}
+
 /* =======================
   Enhanced Dynamic Lights
 ======================= */
-function DynamicLights({ isActive, lightKeyframes, progress }) {
-  const ambientRef = useRef();
-  const directional1Ref = useRef();
-  const directional2Ref = useRef();
-  const spotRef = useRef();
+// Animates the rig through the scene's light keyframes. Every property is
+// smoothed by its own spring, which starts from the light's current value.
+function DynamicLights({
+  isActive,
+  rig,
+  lightKeyframes,
+  getProgress,
+  easing = easings.smootherstep,
+  timeline,
+  damping = DEFAULT_HALF_LIVES,
+}) {
+  const { castShadow: shadows } = useShadowProps();
+  const lights = useRef({});
+  const lastSpan = useRef(0);
+  const takeSnap = useSeekSnap(timeline);
 
-  // Store previous values for smoothing
-  const prevValues = useRef({
-    ambientIntensity: 0.5,
-    dir1Intensity: 1,
-    dir2Intensity: 0.3,
-    spotIntensity: 0,
-    spotAngle: 0.5,
-  });
+  // "<light>.<property>" -> spring holding the smoothed value
+  const springs = useRef(new Map());
 
   useFrame(() => {
+    const progress = getProgress();
     if (isActive && lightKeyframes && lightKeyframes.length > 0) {
-      const totalDuration = lightKeyframes[lightKeyframes.length - 1].time;
-      const currentTime = progress * totalDuration;
-
-      let startFrame = lightKeyframes[0];
-      let endFrame = lightKeyframes[0];
-
-      for (let i = 0; i < lightKeyframes.length - 1; i++) {
-        if (
-          currentTime >= lightKeyframes[i].time &&
-          currentTime <= lightKeyframes[i + 1].time
-        ) {
-          startFrame = lightKeyframes[i];
-          endFrame = lightKeyframes[i + 1];
-          break;
-        }
-      }
-
-      const frameProgress =
-        endFrame.time === startFrame.time
-          ? 0
-          : (currentTime - startFrame.time) / (endFrame.time - startFrame.time);
-
-      // Ultra-smooth easing for lights
-      const ease = easings.smootherstep(frameProgress);
+      const span = sampleKeyframes(lightKeyframes, progress, easing);
+      const { start: startFrame, end: endFrame, ease } = span;
+      const cut =
+        span.index > lastSpan.current &&
+        isCutAt(lightKeyframes, span.index, easing);
+      lastSpan.current = span.index;
+
+      // Critically damped smoothing on timeline time
+      const dt = timeline.delta;
+      const snapping = takeSnap() || cut;
+
+      rig.forEach(({ name, type }) => {
+        const light = lights.current[name];
+        if (!light) return;
+
+        LIGHT_TYPES[type].props.forEach((prop) => {
+          const target = blendLightValue(
+            prop,
+            startFrame.lights[name][prop],
+            endFrame.lights[name][prop],
+            ease
+          );
+          if (typeof target === "boolean") {
+            applyLightValue(light, prop, target, shadows);
+            return;
+          }
 
-      // Smooth damping factor
-      const dampingFactor = 0.08;
+          const key = `${name}.${prop}`;
+          let spring = springs.current.get(key);
+          if (!spring) {
+            const current = readLightValue(light, prop);
+            spring =
+              typeof current === "number"
+                ? new ScalarSpring(current)
+                : new VectorSpring(current);
+            springs.current.set(key, spring);
+          }
+          const value = snapping
+            ? spring.snap(target)
+            : spring.update(target, damping.light, dt);
+          applyLightValue(light, prop, value, shadows);
+        });
+      });
+    }
+  });
 
-      // Animate ambient light with damping
-      if (ambientRef.current) {
-        const targetIntensity = THREE.MathUtils.lerp(
-          startFrame.ambient.intensity,
-          endFrame.ambient.intensity,
-          ease
-        );
-        prevValues.current.ambientIntensity +=
-          (targetIntensity - prevValues.current.ambientIntensity) *
-          dampingFactor;
-        ambientRef.current.intensity = prevValues.current.ambientIntensity;
-      }
+  return <LightRig rig={rig} lightsRef={lights} />;
+}
 
-      // Animate directional lights with damping
-      if (directional1Ref.current) {
-        const targetIntensity = THREE.MathUtils.lerp(
-          startFrame.directional1.intensity,
-          endFrame.directional1.intensity,
-          ease
-        );
-        prevValues.current.dir1Intensity +=
-          (targetIntensity - prevValues.current.dir1Intensity) * dampingFactor;
-        directional1Ref.current.intensity = prevValues.current.dir1Intensity;
-
-        // Smooth position transition
-        const targetPos = new THREE.Vector3().lerpVectors(
-          startFrame.directional1.position,
-          endFrame.directional1.position,
-          ease
-        );
-        directional1Ref.current.position.lerp(targetPos, dampingFactor);
-      }
+/* =======================
+  Theatre.js Sequence Playback
+======================= */
+// Applies the sheet's object values to the camera, lights and model. Without
+// `getProgress` the playhead is left alone so Theatre Studio can scrub it.
+function TheatreCinematic({ theatre, getProgress, modelRef }) {
+  const shadowProps = useShadowProps();
+  const ambientRef = useRef();
+  const directional1Ref = useRef();
+  const directional2Ref = useRef();
+  const spotRef = useRef();
+  const lookAt = useRef(new THREE.Vector3());
 
-      if (directional2Ref.current) {
-        const targetIntensity = THREE.MathUtils.lerp(
-          startFrame.directional2.intensity,
-          endFrame.directional2.intensity,
-          ease
-        );
-        prevValues.current.dir2Intensity +=
-          (targetIntensity - prevValues.current.dir2Intensity) * dampingFactor;
-        directional2Ref.current.intensity = prevValues.current.dir2Intensity;
-      }
+  useFrame(({ camera }) => {
+    const { objects, length } = theatre;
+    if (getProgress) {
+      seekTheatreSheet(theatre, getProgress() * length);
+    }
 
-      // Animate spotlight with damping
-      if (spotRef.current) {
-        const targetIntensity = THREE.MathUtils.lerp(
-          startFrame.spotlight.intensity,
-          endFrame.spotlight.intensity,
-          ease
-        );
-        const targetAngle = THREE.MathUtils.lerp(
-          startFrame.spotlight.angle,
-          endFrame.spotlight.angle,
-          ease
-        );
+    const cam = objects.Camera.value;
+    camera.position.set(cam.position.x, cam.position.y, cam.position.z);
+    camera.fov = cam.fov;
+    camera.near = cam.near;
+    camera.far = cam.far;
+    camera.updateProjectionMatrix();
+    lookAt.current.set(cam.lookAt.x, cam.lookAt.y, cam.lookAt.z);
+    camera.lookAt(lookAt.current);
+
+    if (ambientRef.current) {
+      ambientRef.current.intensity = objects.AmbientLight.value.intensity;
+    }
 
-        prevValues.current.spotIntensity +=
-          (targetIntensity - prevValues.current.spotIntensity) * dampingFactor;
-        prevValues.current.spotAngle +=
-          (targetAngle - prevValues.current.spotAngle) * dampingFactor;
+    [
+      [directional1Ref, objects.DirectionalLight1],
+      [directional2Ref, objects.DirectionalLight2],
+    ].forEach(([ref, object]) => {
+      if (!ref.current) return;
+      const { intensity, position } = object.value;
+      ref.current.intensity = intensity;
+      ref.current.position.set(position.x, position.y, position.z);
+    });
+
+    if (spotRef.current) {
+      const spot = objects.SpotLight.value;
+      spotRef.current.intensity = spot.intensity;
+      spotRef.current.angle = spot.angle;
+      spotRef.current.penumbra = spot.penumbra;
+      spotRef.current.position.set(
+        spot.position.x,
+        spot.position.y,
+        spot.position.z
+      );
+    }
 
-        spotRef.current.intensity = prevValues.current.spotIntensity;
-        spotRef.current.angle = prevValues.current.spotAngle;
-      }
+    if (modelRef?.current) {
+      const { position, rotation, scale } = objects.Model.value;
+      modelRef.current.position.set(position.x, position.y, position.z);
+      modelRef.current.rotation.set(rotation.x, rotation.y, rotation.z);
+      modelRef.current.scale.setScalar(scale);
     }
   });
 
@@ -439,7 +921,7 @@ function DynamicLights({ isActive, lightKeyframes, progress }) {
         ref={directional1Ref}
         position={[5, 10, 5]}
         intensity={1}
-        castShadow
+        {...shadowProps}
       />
       <directionalLight
         ref={directional2Ref}
@@ -452,8 +934,7 @@ function DynamicLights({ isActive, lightKeyframes, progress }) {
         angle={0.5}
         penumbra={0.8}
         intensity={0}
-        castShadow
-        target-position={[0, 0, 0]}
+        {...shadowProps}
       />
     </>
   );
@@ -462,10 +943,25 @@ function DynamicLights({ isActive, lightKeyframes, progress }) {
 /* =======================
   Enhanced Model with Smooth Animation Blending
 ======================= */
-function BoothWithLady({ activeAnimation, scene, animations }) {
+const NO_LAYERS = [];
+
+function BoothWithLady({
+  activeAnimation,
+  restart = 0,
+  playback = DEFAULT_ANIMATION_PLAYBACK,
+  layers = NO_LAYERS,
+  scene,
+  animations,
+}) {
   const group = useRef();
-  const { actions } = useAnimations(animations, group);
+  const { actions, mixer } = useAnimations(animations, group);
+  const invalidate = useThree((state) => state.invalidate);
   const previousAnimation = useRef(null);
+  // Layer actions by layer key, each on its own copy of the clip
+  const layerActions = useRef(new Map());
+  const activeLayers = useRef(new Set());
+  // Read when a clip starts, so changing them doesn't restart it
+  const playbackRef = useRef(playback);
 
   useEffect(() => {
     if (scene && group.current) {
@@ -475,11 +971,14 @@ function BoothWithLady({ activeAnimation, scene, animations }) {
     }
   }, [scene]);
 
+  useEffect(() => {
+    playbackRef.current = playback;
+  }, [playback]);
+
   useEffect(() => {
     if (!activeAnimation || !actions) return;
 
-    // Longer crossfade for smoother transitions
-    const crossfadeDuration = 0.8;
+    const { crossfade } = playbackRef.current;
 
     if (
       previousAnimation.current &&
@@ -487,28 +986,91 @@ function BoothWithLady({ activeAnimation, scene, animations }) {
     ) {
       const prevAction = actions[previousAnimation.current];
       if (prevAction) {
-        prevAction.fadeOut(crossfadeDuration);
+        prevAction.fadeOut(crossfade);
       }
     }
 
     const action = actions[activeAnimation];
     if (action) {
-      action.reset().fadeIn(crossfadeDuration).play();
-      action.setLoop(THREE.LoopRepeat);
-      action.timeScale = 1;
-
-      // Smooth animation playback
-      action.clampWhenFinished = false;
+      applyPlayback(action, playbackRef.current);
+      action.reset().fadeIn(crossfade).play();
+      invalidate();
     }
 
     previousAnimation.current = activeAnimation;
 
     return () => {
       if (action) {
-        action.fadeOut(crossfadeDuration);
+        action.fadeOut(playbackRef.current.crossfade);
+      }
+    };
+  }, [activeAnimation, restart, actions, invalidate]);
+
+  // Loop mode and speed apply to the clip already playing
+  useEffect(() => {
+    const action = activeAnimation && actions[activeAnimation];
+    if (!action) return;
+    applyPlayback(action, playback);
+    invalidate();
+  }, [activeAnimation, actions, playback, invalidate]);
+
+  useEffect(() => {
+    const current = layerActions.current;
+    const previous = activeLayers.current;
+    const active = new Set();
+
+    for (const layer of normalizeLayers(layers, animations)) {
+      active.add(layer.key);
+      let action = current.get(layer.key);
+      if (!action) {
+        const clip = animations.find(
+          (candidate) => candidate.name === layer.clip
+        );
+        action = mixer.clipAction(
+          layerClip(clip, scene, layer.mask),
+          group.current
+        );
+        current.set(layer.key, action);
+      }
+      applyPlayback(action, layer);
+      action.setEffectiveWeight(layer.weight);
+      if (!previous.has(layer.key)) {
+        action.reset().fadeIn(playback.crossfade).play();
+      }
+    }
+
+    // Fade out layers that were removed
+    for (const key of previous) {
+      if (!active.has(key)) current.get(key).fadeOut(playback.crossfade);
+    }
+    activeLayers.current = active;
+    invalidate();
+  }, [layers, animations, mixer, scene, playback.crossfade, invalidate]);
+
+  // Drop the layer actions with the model
+  useEffect(() => {
+    const current = layerActions.current;
+    const root = group.current;
+    return () => {
+      for (const action of current.values()) {
+        action.stop();
+        mixer.uncacheAction(action.getClip(), root);
       }
+      current.clear();
     };
-  }, [activeAnimation, actions]);
+  }, [mixer]);
+
+  // useAnimations advances the mixer every frame; keep frames coming while
+  // a clip plays or fades out
+  useFrame(({ invalidate }) => {
+    const running = (action) => action?.isRunning();
+    if (
+      Object.values(actions).some(running) ||
+      [...layerActions.current.values()].some(running)
+    ) {
+      invalidate();
+    }
+  });
 
   return (
     <group ref={group}>
@@ -518,431 +1080,1377 @@ function BoothWithLady({ activeAnimation, scene, animations }) {
 }
 
 /* =======================
-  Enhanced Scene Manager with Transition Support
+  Model Loading
 ======================= */
-function CinematicSceneManager({ scene, onComplete, transitionProgress = 0 }) {
-  const [progress, setProgress] = useState(0);
-  const startTime = useRef(Date.now());
-  const completedRef = useRef(false);
+// Catches render errors below it and reports them, rendering `fallback`
+// instead. Used around the model (inside the canvas) and around the canvas
+// itself, for browsers without WebGL.
+class ErrorBoundary extends Component {
+  constructor(props) {
+    super(props);
+    this.state = { error: null };
+  }
+
+  static getDerivedStateFromError(error) {
+    return { error };
+  }
+
+  componentDidCatch(error) {
+    this.props.onError?.(error);
+  }
+
+  render() {
+    if (this.state.error) return this.props.fallback ?? null;
+    return this.props.children;
+  }
+}
 
-  useFrame(() => {
-    const elapsed = (Date.now() - startTime.current) / 1000;
-    const newProgress = Math.min(elapsed / scene.duration, 1);
-    setProgress(newProgress);
-
-    // Call onComplete when scene finishes
-    if (newProgress >= 1 && !completedRef.current && onComplete) {
-      completedRef.current = true;
-      onComplete();
-    }
-  });
+// Loads the GLB with byte-level progress and hands it to the booth once
+// parsed. Suspends while loading; failures throw to the nearest
+// ErrorBoundary.
+function BoothModel({ url, decoderPath, onProgress, onLoad, ...animation }) {
+  const gl = useThree((state) => state.gl);
+  const gltf = useLoader(
+    GLTFLoader,
+    url,
+    compressedModelSupport(decoderPath, gl),
+    onProgress
+  );
 
-  // Reset completed flag when scene changes
   useEffect(() => {
-    completedRef.current = false;
-    startTime.current = Date.now();
-  }, [scene]);
+    onLoad(gltf);
+  }, [gltf, onLoad]);
+
+  return (
+    <BoothWithLady
+      {...animation}
+      scene={gltf.scene}
+      animations={gltf.animations}
+    />
+  );
+}
+
+/* =======================
+  Enhanced Scene Manager with Transition Support
+======================= */
+// How far the timeline is through `scene`, from 0 to 1
+const sceneProgress = (timeline, segment, scene) =>
+  THREE.MathUtils.clamp((timeline.time - segment.start) / scene.duration, 0, 1);
+
+function CinematicSceneManager({
+  scene: sceneData,
+  timeline,
+  segment,
+  model,
+  modelRef,
+  damping,
+  handoff = 0,
+  focus,
+}) {
+  const size = useThree((state) => state.size);
+  const camera = useThree((state) => state.camera);
+  // Keyframes placed relative to the model are measured on it as it stands
+  // when the scene starts, and fitted to the canvas
+  const scene = useMemo(
+    () =>
+      placeScene(sceneData, model, {
+        aspect: size.width / size.height,
+        fov: camera.fov,
+      }),
+    [sceneData, model, size, camera]
+  );
+  // Read straight off the timeline by each controller's frame callback, so
+  // playback doesn't re-render React every frame
+  const getProgress = () => sceneProgress(timeline, segment, scene);
+
+  if (scene.theatre) {
+    return (
+      <TheatreCinematic
+        theatre={scene.theatre}
+        getProgress={getProgress}
+        modelRef={modelRef}
+      />
+    );
+  }
 
   return (
     <>
       <CinematicCamera
         isActive={true}
         keyframes={scene.cameraKeyframes}
-        progress={progress}
+        getProgress={getProgress}
         onComplete={() => {}}
-        easingType="smootherstep"
+        easing={scene.easing}
+        path={scene.cameraPath}
+        timeline={timeline}
+        damping={damping}
+        handoff={handoff}
+        focus={focus}
+        cutIn={Boolean(scene.transition)}
       />
       <DynamicLights
         isActive={true}
+        rig={scene.lights}
         lightKeyframes={scene.lightKeyframes}
-        progress={progress}
+        getProgress={getProgress}
+        easing={scene.easing}
+        timeline={timeline}
+        damping={damping}
       />
     </>
   );
 }
 
 /* =======================
-  LandmarkMarketsBooth Component
+  Post-Processing
 ======================= */
-export default function LandmarkMarketsBooth({ modelPath = "/6.glb" }) {
-  const { scene, animations } = useGLTF(modelPath);
-  const [activeAnimation, setActiveAnimation] = useState(null);
-  const [currentSceneIndex, setCurrentSceneIndex] = useState(null);
-  const [lastPlayedSceneIndex, setLastPlayedSceneIndex] = useState(-1);
-  const [isPlaying, setIsPlaying] = useState(false);
-  const [isTransitioning, setIsTransitioning] = useState(false);
-  const [transitionProgress, setTransitionProgress] = useState(0);
-  const [show360Rotation, setShow360Rotation] = useState(true);
-  const [rotation360Complete, setRotation360Complete] = useState(false);
-  const [transitioningTo360, setTransitioningTo360] = useState(false);
-
-  // Use ref to store timeout ID so it persists across renders
-  const sceneTimeoutRef = useRef(null);
-
-  // Enhanced cinematic scenes with refined keyframes
-  const cinematicScenes = [
-    {
-      name: "Scene 1",
-      duration: 10,
-      animation: animations[0]?.name || null,
-      cameraKeyframes: [
-        {
-          time: 0,
-          position: new THREE.Vector3(15, 8, 15),
-          lookAt: new THREE.Vector3(0, 0, 0),
-          fov: 70,
-        },
-        {
-          time: 1.5,
-          position: new THREE.Vector3(12, 7, 10),
-          lookAt: new THREE.Vector3(0, 1, 0),
-          fov: 65,
-        },
-        {
-          time: 3,
-          position: new THREE.Vector3(8, 5, 12),
-          lookAt: new THREE.Vector3(0, 1.2, 0),
-          fov: 60,
-        },
-        {
-          time: 5,
-          position: new THREE.Vector3(10, 4, 8),
-          lookAt: new THREE.Vector3(0, 1.5, 0),
-          fov: 58,
-        },
-        {
-          time: 7,
-          position: new THREE.Vector3(7, 3.5, 10),
-          lookAt: new THREE.Vector3(0, 1.5, 0),
-          fov: 55,
-        },
-        {
-          time: 10,
-          position: new THREE.Vector3(6, 3, 6),
-          lookAt: new THREE.Vector3(0, 1, 0),
-          fov: 52,
-        },
-      ],
-      lightKeyframes: [
-        {
-          time: 0,
-          ambient: { intensity: 0.2 },
-          directional1: {
-            intensity: 0.3,
-            position: new THREE.Vector3(8, 12, 8),
-          },
-          directional2: { intensity: 0.1 },
-          spotlight: { intensity: 0, angle: 0.5 },
-        },
-        {
-          time: 2,
-          ambient: { intensity: 0.4 },
-          directional1: {
-            intensity: 0.7,
-            position: new THREE.Vector3(6, 10, 6),
-          },
-          directional2: { intensity: 0.25 },
-          spotlight: { intensity: 0.5, angle: 0.6 },
-        },
-        {
-          time: 5,
-          ambient: { intensity: 0.55 },
-          directional1: {
-            intensity: 0.9,
-            position: new THREE.Vector3(5, 9, 5),
-          },
-          directional2: { intensity: 0.35 },
-          spotlight: { intensity: 1.0, angle: 0.55 },
-        },
-        {
-          time: 7.5,
-          ambient: { intensity: 0.65 },
-          directional1: {
-            intensity: 1.1,
-            position: new THREE.Vector3(4, 8, 4),
-          },
-          directional2: { intensity: 0.45 },
-          spotlight: { intensity: 1.5, angle: 0.5 },
-        },
-        {
-          time: 10,
-          ambient: { intensity: 0.6 },
-          directional1: {
-            intensity: 1.0,
-            position: new THREE.Vector3(4, 8, 4),
-          },
-          directional2: { intensity: 0.4 },
-          spotlight: { intensity: 0.8, angle: 0.5 },
-        },
-      ],
-    },
-    {
-      name: "Scene 2",
-      duration: 15,
-      animation: animations[1]?.name || animations[0]?.name || null,
-      cameraKeyframes: [
-        {
-          time: 0,
-          position: new THREE.Vector3(6, 3, 6),
-          lookAt: new THREE.Vector3(0, 1, 0),
-          fov: 55,
-        },
-        {
-          time: 2.5,
-          position: new THREE.Vector3(7, 2.5, 0),
-          lookAt: new THREE.Vector3(0, 1, 0),
-          fov: 50,
-        },
-        {
-          time: 5,
-          position: new THREE.Vector3(5, 2, -5),
-          lookAt: new THREE.Vector3(0, 1, 0),
-          fov: 48,
-        },
-        {
-          time: 7.5,
-          position: new THREE.Vector3(-6, 2, -3),
-          lookAt: new THREE.Vector3(0, 1, 0),
-          fov: 50,
-        },
-        {
-          time: 10,
-          position: new THREE.Vector3(-2, 1.5, 0),
-          lookAt: new THREE.Vector3(1, 1.3, 0),
-          fov: 65,
-        },
-        {
-          time: 12,
-          position: new THREE.Vector3(0, 1.4, 0.5),
-          lookAt: new THREE.Vector3(3, 1.2, -2),
-          fov: 70,
-        },
-        {
-          time: 15,
-          position: new THREE.Vector3(8, 4, 4),
-          lookAt: new THREE.Vector3(0, 1, 0),
-          fov: 55,
-        },
-      ],
-      lightKeyframes: [
-        {
-          time: 0,
-          ambient: { intensity: 0.6 },
-          directional1: {
-            intensity: 1.0,
-            position: new THREE.Vector3(5, 8, 5),
-          },
-          directional2: { intensity: 0.4 },
-          spotlight: { intensity: 0, angle: 0.5 },
-        },
-        {
-          time: 5,
-          ambient: { intensity: 0.65 },
-          directional1: {
-            intensity: 0.9,
-            position: new THREE.Vector3(0, 8, -5),
-          },
-          directional2: { intensity: 0.5 },
-          spotlight: { intensity: 0, angle: 0.5 },
-        },
-        {
-          time: 10,
-          ambient: { intensity: 0.8 },
-          directional1: {
-            intensity: 0.6,
-            position: new THREE.Vector3(-3, 6, 0),
-          },
-          directional2: { intensity: 0.7 },
-          spotlight: { intensity: 0.5, angle: 0.6 },
-        },
-        {
-          time: 15,
-          ambient: { intensity: 0.6 },
-          directional1: {
-            intensity: 1.0,
-            position: new THREE.Vector3(5, 8, 5),
-          },
-          directional2: { intensity: 0.4 },
-          spotlight: { intensity: 0, angle: 0.5 },
-        },
-      ],
-    },
-    {
-      name: "Scene 3",
-      duration: 6,
-      animation: animations[2]?.name || animations[0]?.name || null,
-      cameraKeyframes: [
-        {
-          time: 0,
-          position: new THREE.Vector3(8, 4, 4),
-          lookAt: new THREE.Vector3(0, 1, 0),
-          fov: 55,
-        },
-        {
-          time: 2,
-          position: new THREE.Vector3(2.5, 1.7, 3),
-          lookAt: new THREE.Vector3(0, 1.3, 0),
-          fov: 42,
-        },
-        {
-          time: 4,
-          position: new THREE.Vector3(2, 1.6, 2.5),
-          lookAt: new THREE.Vector3(0, 1.4, 0),
-          fov: 38,
-        },
-        {
-          time: 6,
-          position: new THREE.Vector3(1.5, 1.5, 2),
-          lookAt: new THREE.Vector3(0, 1.5, 0),
-          fov: 35,
-        },
-      ],
-      lightKeyframes: [
-        {
-          time: 0,
-          ambient: { intensity: 0.6 },
-          directional1: {
-            intensity: 1.0,
-            position: new THREE.Vector3(5, 8, 5),
-          },
-          directional2: { intensity: 0.4 },
-          spotlight: { intensity: 0, angle: 0.5 },
-        },
-        {
-          time: 2,
-          ambient: { intensity: 0.45 },
-          directional1: {
-            intensity: 0.7,
-            position: new THREE.Vector3(3, 7, 3),
-          },
-          directional2: { intensity: 0.3 },
-          spotlight: { intensity: 0.8, angle: 0.45 },
-        },
-        {
-          time: 4,
-          ambient: { intensity: 0.3 },
-          directional1: {
-            intensity: 0.4,
-            position: new THREE.Vector3(3, 6, 3),
-          },
-          directional2: { intensity: 0.2 },
-          spotlight: { intensity: 1.8, angle: 0.35 },
-        },
-        {
-          time: 6,
-          ambient: { intensity: 0.2 },
-          directional1: {
-            intensity: 0.3,
-            position: new THREE.Vector3(2, 5, 2),
-          },
-          directional2: { intensity: 0.1 },
-          spotlight: { intensity: 2.5, angle: 0.3 },
-        },
-      ],
-    },
-  ];
-
-  // Smooth transition between scenes
-  const transitionToScene = async (index) => {
-    setIsTransitioning(true);
+// Grades the booth's look through a .cube or .3dl lookup table
+function LutGrade({ url, ref }) {
+  const loader = url.toLowerCase().endsWith(".3dl")
+    ? LUT3dlLoader
+    : LUTCubeLoader;
+  const lut = useLoader(loader, url);
+  return <LUT ref={ref} lut={lut} />;
+}
 
-    for (let i = 0; i <= 100; i += 5) {
-      setTransitionProgress(i / 100);
-      await new Promise((resolve) => setTimeout(resolve, 10));
+// The effect stack over the rendered frame. While a scene plays, its effect
+// keyframes animate the settings, and depth of field follows the camera's
+// look-at point (`focus`); otherwise the free-look orbit target. Rack focus
+// shots pull focus on a track of their own, laid over the effect keyframes.
+function PostEffects({
+  settings,
+  scene,
+  timeline,
+  segment,
+  focus,
+  model,
+  composerRef,
+}) {
+  const get = useThree((state) => state.get);
+  // Effect name -> mounted postprocessing effect
+  const effects = useRef({});
+  // Focus points on the model are measured when the scene starts
+  const keyframes = useMemo(
+    () => placeEffectKeyframes(scene?.effectKeyframes ?? undefined, model),
+    [scene, model]
+  );
+  const focusKeyframes = useMemo(
+    () => placeEffectKeyframes(scene?.focusKeyframes ?? undefined, model),
+    [scene, model]
+  );
+  const frames = useMemo(
+    () => completeEffectKeyframes(settings, keyframes),
+    [settings, keyframes]
+  );
+  const focusFrames = useMemo(
+    () =>
+      focusKeyframes ? completeEffectKeyframes(settings, focusKeyframes) : null,
+    [settings, focusKeyframes]
+  );
+  const active = activeEffects(settings, [
+    ...(keyframes ?? []),
+    ...(focusKeyframes ?? []),
+  ]);
+
+  useFrame((state) => {
+    const progress =
+      scene && segment ? sceneProgress(timeline, segment, scene) : 0;
+    const easing = scene?.easing ?? easings.smootherstep;
+    const lookAt = scene ? focus : (state.controls?.target ?? focus);
+    const { start, end, ease } = sampleKeyframes(frames, progress, easing);
+    const values = blendEffectValues(start.values, end.values, ease, lookAt);
+
+    if (focusFrames) {
+      const pull = sampleKeyframes(focusFrames, progress, easing);
+      overlayFocusValues(
+        values,
+        blendEffectValues(
+          pull.start.values,
+          pull.end.values,
+          pull.ease,
+          lookAt
+        ),
+        focusKeyframes[pull.index]
+      );
     }
+    applyEffectValues(effects.current, values, state.gl);
+  });
 
-    setIsTransitioning(false);
-    setTransitionProgress(0);
+  // Exposure lives on the renderer, so put it back when the stack goes
+  useEffect(() => () => setExposure(get().gl, 1), [get]);
+
+  const keep = (name) => (effect) => {
+    effects.current[name] = effect;
   };
 
-  // Cleanup timeout on unmount
+  return (
+    <EffectComposer ref={composerRef} multisampling={settings.multisampling}>
+      {active.has("depthOfField") && (
+        <DepthOfField ref={keep("depthOfField")} target={focus} />
+      )}
+      {active.has("bloom") && <Bloom ref={keep("bloom")} mipmapBlur />}
+      <ToneMapping mode={settings.toneMapping} />
+      {active.has("lut") && (
+        <LutGrade ref={keep("lut")} url={settings.lutUrl} />
+      )}
+      {active.has("vignette") && <Vignette ref={keep("vignette")} />}
+      {active.has("grain") && <Noise ref={keep("grain")} premultiply />}
+    </EffectComposer>
+  );
+}
+
+/* =======================
+  Playback Control Bar
+======================= */
+const formatTime = (seconds) => {
+  const whole = Math.floor(seconds);
+  return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, "0")}`;
+};
+
+const controlButtonStyle = {
+  padding: "8px 12px",
+  background: "rgba(255, 255, 255, 0.1)",
+  color: "white",
+  border: "1px solid rgba(255, 255, 255, 0.2)",
+  borderRadius: "10px",
+  cursor: "pointer",
+  fontSize: "13px",
+  fontWeight: "600",
+  whiteSpace: "nowrap",
+};
+
+// Chapter buttons, a scrubber across the whole cinematic and transport
+// buttons. Every control is a native button or range input, so the bar works
+// with Tab, Enter/Space and the arrow keys.
+function ControlBar({
+  timeline,
+  segments,
+  scenes,
+  currentSceneIndex,
+  onSeek,
+  onChapter,
+  onPrevious,
+  onNext,
+  onPlay,
+  onPause,
+  onStop,
+}) {
+  const scrubberRef = useRef();
+  const timeRef = useRef();
+  const [playing, setPlaying] = useState(timeline.playing);
+  const total = segments.length > 0 ? segments[segments.length - 1].end : 0;
+
+  // The playhead moves every frame; write it straight to the DOM instead of
+  // re-rendering the bar
   useEffect(() => {
-    return () => {
-      if (sceneTimeoutRef.current) {
-        clearTimeout(sceneTimeoutRef.current);
+    const showTime = (time) => {
+      if (scrubberRef.current) scrubberRef.current.value = time;
+      if (timeRef.current) {
+        timeRef.current.textContent = `${formatTime(time)} / ${formatTime(total)}`;
       }
     };
-  }, []);
+    const syncPlaying = () => setPlaying(timeline.playing);
 
-  // Handle 360 rotation completion
+    showTime(timeline.time);
+    const unsubscribe = [
+      timeline.on("update", showTime),
+      timeline.on("seek", showTime),
+      timeline.on("play", syncPlaying),
+      timeline.on("pause", syncPlaying),
+      timeline.on("end", syncPlaying),
+    ];
+    return () => unsubscribe.forEach((off) => off());
+  }, [timeline, total]);
+
+  const chapters = segments.filter((segment) => segment.type === "scene");
+
+  return (
+    <div
+      role="toolbar"
+      aria-label="Cinematic controls"
+      style={{
+        position: "absolute",
+        zIndex: 10,
+        left: 20,
+        right: 20,
+        bottom: 20,
+        background: "rgba(0, 0, 0, 0.85)",
+        color: "white",
+        padding: "12px 16px",
+        borderRadius: "16px",
+        backdropFilter: "blur(15px)",
+        border: "1px solid rgba(255, 255, 255, 0.2)",
+        boxShadow: "0 8px 30px rgba(0, 0, 0, 0.6)",
+        display: "flex",
+        flexDirection: "column",
+        gap: "10px",
+      }}
+    >
+      <div style={{ position: "relative" }}>
+        <input
+          ref={scrubberRef}
+          type="range"
+          aria-label="Cinematic position"
+          min={0}
+          max={total}
+          step={0.01}
+          defaultValue={timeline.time}
+          onChange={(event) => onSeek(Number(event.target.value))}
+          style={{ width: "100%", accentColor: "#f5576c", cursor: "pointer" }}
+        />
+        {/* Chapter markers */}
+        {chapters.map((segment) => (
+          <span
+            key={segment.index}
+            aria-hidden="true"
+            style={{
+              position: "absolute",
+              top: 0,
+              bottom: 0,
+              left: `${(segment.start / total) * 100}%`,
+              width: "2px",
+              background: "rgba(255, 255, 255, 0.6)",
+              pointerEvents: "none",
+            }}
+          />
+        ))}
+      </div>
+
+      <div
+        style={{
+          display: "flex",
+          alignItems: "center",
+          gap: "8px",
+          flexWrap: "wrap",
+        }}
+      >
+        <button
+          onClick={onPrevious}
+          aria-label="Previous scene"
+          style={controlButtonStyle}
+        >
+          ⏮
+        </button>
+        <button
+          onClick={playing ? onPause : onPlay}
+          aria-label={playing ? "Pause" : "Play"}
+          style={controlButtonStyle}
+        >
+          {playing ? "⏸" : "▶"}
+        </button>
+        <button onClick={onStop} aria-label="Stop" style={controlButtonStyle}>
+          ⏹
+        </button>
+        <button
+          onClick={onNext}
+          aria-label="Next scene"
+          style={controlButtonStyle}
+        >
+          ⏭
+        </button>
+        <span
+          ref={timeRef}
+          aria-hidden="true"
+          style={{ fontSize: "12px", opacity: 0.8, minWidth: "80px" }}
+        />
+
+        {chapters.map((segment) => (
+          <button
+            key={segment.index}
+            onClick={() => onChapter(segment.index)}
+            aria-current={currentSceneIndex === segment.index}
+            style={{
+              ...controlButtonStyle,
+              background:
+                currentSceneIndex === segment.index
+                  ? "linear-gradient(135deg, #f093fb 0%, #f5576c 100%)"
+                  : controlButtonStyle.background,
+            }}
+          >
+            {scenes[segment.index]?.name}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+/* =======================
+  Animation Panel
+======================= */
+const panelLabelStyle = {
+  display: "flex",
+  alignItems: "center",
+  justifyContent: "space-between",
+  gap: "8px",
+  fontSize: "12px",
+};
+
+// Lists the model's clips with playback settings. Each clip can also be
+// layered over the active one with a weight; 0 takes the layer off. Layers
+// with a mask are set through the ref and left alone here.
+function AnimationPanel({
+  clips,
+  activeAnimation,
+  playback,
+  layers,
+  disabled,
+  onPlay,
+  onPlaybackChange,
+  onLayersChange,
+}) {
+  const layerWeight = (name) =>
+    layers.find((layer) => layer.clip === name && !layer.mask)?.weight ?? 0;
+
+  const setLayerWeight = (name, weight) => {
+    const others = layers.filter((layer) => layer.clip !== name || layer.mask);
+    onLayersChange(weight > 0 ? [...others, { clip: name, weight }] : others);
+  };
+
+  return (
+    <details
+      style={{
+        background: "rgba(0, 0, 0, 0.85)",
+        color: "white",
+        padding: "12px 16px",
+        borderRadius: "12px",
+        backdropFilter: "blur(15px)",
+        border: "1px solid rgba(255, 255, 255, 0.2)",
+        fontSize: "13px",
+      }}
+    >
+      <summary style={{ cursor: "pointer", fontWeight: "700" }}>
+        Animations
+      </summary>
+
+      <div
+        style={{
+          display: "flex",
+          flexDirection: "column",
+          gap: "10px",
+          marginTop: "12px",
+        }}
+      >
+        <label style={panelLabelStyle}>
+          Playback
+          <select
+            value={playback.loop}
+            onChange={(event) => onPlaybackChange({ loop: event.target.value })}
+          >
+            <option value="repeat">Loop</option>
+            <option value="once">Once</option>
+          </select>
+        </label>
+        <label style={panelLabelStyle}>
+          Speed {playback.speed}×
+          <input
+            type="range"
+            min={0.25}
+            max={2}
+            step={0.25}
+            value={playback.speed}
+            onChange={(event) =>
+              onPlaybackChange({ speed: Number(event.target.value) })
+            }
+            style={{ accentColor: "#f5576c" }}
+          />
+        </label>
+        <label style={panelLabelStyle}>
+          Crossfade {playback.crossfade}s
+          <input
+            type="range"
+            min={0}
+            max={2}
+            step={0.1}
+            value={playback.crossfade}
+            onChange={(event) =>
+              onPlaybackChange({ crossfade: Number(event.target.value) })
+            }
+            style={{ accentColor: "#f5576c" }}
+          />
+        </label>
+
+        {disabled && (
+          <span style={{ fontSize: "12px", opacity: 0.7 }}>
+            The scene chooses the clip while it plays.
+          </span>
+        )}
+
+        {clips.map((clip) => (
+          <div
+            key={clip.name}
+            style={{ display: "flex", flexDirection: "column", gap: "4px" }}
+          >
+            <button
+              onClick={() => onPlay(clip.name)}
+              disabled={disabled}
+              aria-pressed={activeAnimation === clip.name}
+              style={{
+                ...controlButtonStyle,
+                textAlign: "left",
+                cursor: disabled ? "not-allowed" : "pointer",
+                background:
+                  activeAnimation === clip.name
+                    ? "linear-gradient(135deg, #f093fb 0%, #f5576c 100%)"
+                    : controlButtonStyle.background,
+              }}
+            >
+              ▶ {clip.name}
+            </button>
+            <label style={panelLabelStyle}>
+              Layer {layerWeight(clip.name)}
+              <input
+                type="range"
+                aria-label={`Layer weight for ${clip.name}`}
+                min={0}
+                max={2}
+                step={0.1}
+                value={layerWeight(clip.name)}
+                onChange={(event) =>
+                  setLayerWeight(clip.name, Number(event.target.value))
+                }
+                style={{ accentColor: "#f5576c" }}
+              />
+            </label>
+          </div>
+        ))}
+      </div>
+    </details>
+  );
+}
+
+/* =======================
+  LandmarkMarketsBooth Component
+======================= */
+const NO_ANIMATIONS = [];
+const DEFAULT_RIG = parseLightRig(DEFAULT_LIGHT_RIG);
+
+// Full-size overlay for the loading and error screens, over the poster image
+// when there is one
+const overlayStyle = (poster) => ({
+  position: "absolute",
+  inset: 0,
+  background: poster
+    ? `linear-gradient(rgba(0, 0, 0, 0.55), rgba(0, 0, 0, 0.55)), url("${poster}") center / cover no-repeat, #0a0a0a`
+    : "#0a0a0a",
+  color: "white",
+  display: "flex",
+  flexDirection: "column",
+  alignItems: "center",
+  justifyContent: "center",
+  gap: "16px",
+});
+
+export default function LandmarkMarketsBooth({
+  modelPath = "/6.glb",
+  modelVariants = null,
+  decoderPath = "/decoders/",
+  quality = "auto",
+  scenes = defaultScenes,
+  theatreState = null,
+  theatreProject = "Broker Booth",
+  theatreSheet = "Scene",
+  editable = false,
+  damping = {},
+  exportable = false,
+  intro = true,
+  freeLook = true,
+  hotspots = null,
+  playlist = null,
+  controls = true,
+  animationPanel = false,
+  postProcessing = true,
+  onIntroStart,
+  onIntroEnd,
+  onSceneStart,
+  onSceneEnd,
+  onProgress,
+  onAnimationChange,
+  onModelLoaded,
+  poster = null,
+  ref,
+}) {
+  // Rendering quality. "auto" starts from a guess based on the device and
+  // then follows the measured frame rate.
+  const [qualityFactor, setQualityFactor] = useState(
+    () => AUTO_QUALITY_START[detectDeviceTier()]
+  );
+  const qualitySettings = resolveQuality(quality, qualityFactor);
+  const postSettings = useMemo(
+    () => resolvePostProcessing(postProcessing, qualitySettings.level),
+    [postProcessing, qualitySettings.level]
+  );
+  // Point the cinematic camera looks at, for depth of field
+  const [focusPoint] = useState(() => new THREE.Vector3(0, 1, 0));
+  // The effect stack's composer, which scene transitions render through
+  const composerRef = useRef(null);
+
+  // Lighter variants of the model for weaker devices
+  const modelUrl = useMemo(
+    () => pickModelVariant(modelVariants, detectDeviceTier(), modelPath),
+    [modelVariants, modelPath]
+  );
+
+  // The GLB loads inside the canvas; until it has, the booth shows a loading
+  // screen and holds the intro
+  const [model, setModel] = useState(null);
+  const [loadProgress, setLoadProgress] = useState(null);
+  const [modelError, setModelError] = useState(null);
+  const [loadAttempt, setLoadAttempt] = useState(0);
+  const [rendererError, setRendererError] = useState(null);
+  const loadedModel = model?.url === modelUrl ? model : null;
+  const scene = loadedModel?.scene ?? null;
+  const animations = loadedModel?.animations ?? NO_ANIMATIONS;
+  const progress = loadProgress?.url === modelUrl ? loadProgress : null;
+  // Share of the file downloaded, null when the server sent no length
+  const loadedFraction =
+    progress?.total > 0 ? progress.loaded / progress.total : null;
+  const failure =
+    modelError?.url === modelUrl
+      ? describeModelError(modelError.error, modelUrl)
+      : null;
+
+  const handleModelLoad = useCallback(
+    (gltf) =>
+      setModel({
+        url: modelUrl,
+        scene: gltf.scene,
+        animations: gltf.animations,
+      }),
+    [modelUrl]
+  );
+  const handleModelProgress = useCallback(
+    (event) =>
+      setLoadProgress({
+        url: modelUrl,
+        loaded: event.loaded,
+        total: event.lengthComputable ? event.total : 0,
+      }),
+    [modelUrl]
+  );
+
+  const retryModel = () => {
+    useLoader.clear(GLTFLoader, modelUrl);
+    setModelError(null);
+    setLoadProgress(null);
+    setLoadAttempt((attempt) => attempt + 1);
+  };
+  // Studio authoring is a development tool and never ships in production
+  const studioEnabled = editable && import.meta.env.DEV;
+  const theatre = useTheatreSheet(
+    theatreState,
+    theatreProject,
+    theatreSheet,
+    studioEnabled
+  );
+  const modelRef = useRef();
+  // Smoothing half-lives in seconds, see DEFAULT_HALF_LIVES
+  const halfLives = { ...DEFAULT_HALF_LIVES, ...damping };
+  const [activeAnimation, setActiveAnimation] = useState(null);
+  // Bumped to replay the current clip, e.g. a "once" clip that finished
+  const [animationRestart, setAnimationRestart] = useState(0);
+  const [animationPlayback, setAnimationPlayback] = useState(
+    DEFAULT_ANIMATION_PLAYBACK
+  );
+  const [animationLayers, setAnimationLayers] = useState(NO_LAYERS);
+  const [currentSceneIndex, setCurrentSceneIndex] = useState(null);
+  const [lastPlayedSceneIndex, setLastPlayedSceneIndex] = useState(-1);
+  const [isPlaying, setIsPlaying] = useState(false);
+
+  // The 360 intro's orbit and end pose; whether it plays on load is decided
+  // once, so a first-visit intro doesn't vanish when it's marked as seen
+  const introSettings = useMemo(() => resolveIntro(intro), [intro]);
+  const [introOnLoad] = useState(() => shouldPlayIntro(introSettings));
+  // Without the intro the booth opens on its end pose
+  const [initialCamera] = useState(() =>
+    introOnLoad
+      ? { position: [8, 3, 8], fov: 50 }
+      : introEndCamera(introSettings)
+  );
+  const introSegment = useMemo(
+    () => ({
+      type: "intro",
+      start: 0,
+      end: introSettings.duration + introSettings.handoffDuration,
+    }),
+    [introSettings.duration, introSettings.handoffDuration]
+  );
+  const [show360Rotation, setShow360Rotation] = useState(introOnLoad);
+  const [rotation360Complete, setRotation360Complete] = useState(!introOnLoad);
+  const [transitioningTo360, setTransitioningTo360] = useState(false);
+
+  // One clock drives the intro, every scene and the return transition. It
+  // starts playing the 360 intro once the model has loaded.
+  const [timeline] = useState(() => {
+    const clock = new Timeline();
+    clock.setEnd(introSegment.end);
+    return clock;
+  });
+  const activeSegmentRef = useRef(introOnLoad ? introSegment : null);
+  const [activeSegment, setActiveSegment] = useState(
+    introOnLoad ? introSegment : null
+  );
+  // When set, segment ends don't stop playback (used by offline export)
+  const continuousRef = useRef(false);
+
+  // Offline export of the cinematic to a PNG sequence or WebM
+  const exporterRef = useRef(null);
+  const cancelExportRef = useRef(false);
+  const [exportProgress, setExportProgress] = useState(null);
+
+  // Visitors can orbit the booth between cinematics; the next scene then
+  // blends in from wherever they left the camera
+  const freeLookConfig = freeLook
+    ? { ...DEFAULT_FREE_LOOK, ...(freeLook === true ? {} : freeLook) }
+    : null;
+  const freeLookMovedRef = useRef(false);
+  const [handoff, setHandoff] = useState(0);
+
+  // Annotated booth parts: clicking a marker opens its info panel and,
+  // unless disabled, flies the camera over to it
+  const resolvedHotspots = useMemo(
+    () => resolveHotspots(hotspots, scene),
+    [hotspots, scene]
+  );
+  const [selectedHotspot, setSelectedHotspot] = useState(null);
+  const [flyTarget, setFlyTarget] = useState(null);
+
+  // Kiosk attract mode: loops the intro and the scenes unattended until a
+  // visitor interacts, and resumes once they have been idle for a while
+  const playlistConfig = playlist
+    ? { ...DEFAULT_PLAYLIST, ...(playlist === true ? {} : playlist) }
+    : null;
+  const attractRef = useRef({
+    active: Boolean(playlistConfig?.autoplay),
+    order: null, // scene indices for the current loop
+    position: -1, // index into `order` of the scene playing
+    holdTimer: null,
+    idleTimer: null,
+  });
+
+  const selectHotspot = (hotspot) => {
+    setSelectedHotspot(hotspot);
+    if (hotspot.flyTo) {
+      setFlyTarget(hotspot);
+      freeLookMovedRef.current = true;
+    }
+  };
+
+  // Scene definitions are validated against the model's animation clips;
+  // an invalid definition is reported and leaves the booth without scenes
+  const sceneDefinition = useSceneDefinition(scenes);
+  const cinematicScenes = useMemo(() => {
+    // Clip names can only be resolved once the model has loaded
+    if (!sceneDefinition || !scene) return [];
+
+    let parsed = [];
+    try {
+      parsed = parseScenes(sceneDefinition, { animations, model: scene });
+    } catch (error) {
+      console.error(`[LandmarkMarketsBooth] ${error.message}`);
+    }
+
+    // Theatre.js sequence authored by the motion designers plays after the
+    // built-in scenes
+    if (theatre) {
+      parsed.push({
+        name: theatreProject,
+        duration: theatre.length,
+        animation: animations[0]?.name || null,
+        theatre,
+      });
+    }
+    return parsed;
+  }, [sceneDefinition, scene, animations, theatre, theatreProject]);
+
+  // Between scenes the rig rests at its base values
+  const lightRig = cinematicScenes[0]?.lights ?? DEFAULT_RIG;
+
+  // Host callbacks are read when events happen, so inline handlers on the
+  // host page never go stale
+  const callbacksRef = useRef({});
+  useEffect(() => {
+    callbacksRef.current = {
+      onIntroStart,
+      onIntroEnd,
+      onSceneStart,
+      onSceneEnd,
+      onProgress,
+      onAnimationChange,
+      onModelLoaded,
+    };
+  });
+
+  // The segment whose start was reported and whose end is still due
+  const openSegmentRef = useRef(null);
+
+  // Calls onIntroStart/End or onSceneStart/End(index, name) for a segment.
+  // Ends also get `{ interrupted }`, true when playback left the segment
+  // before it finished.
+  const emitSegmentEvent = (segment, phase, interrupted = false) => {
+    openSegmentRef.current = phase === "Start" ? segment : null;
+    const details = phase === "End" ? [{ interrupted }] : [];
+    const callbacks = callbacksRef.current;
+    if (segment.type === "intro") callbacks[`onIntro${phase}`]?.(...details);
+    if (segment.type === "scene") {
+      callbacks[`onScene${phase}`]?.(
+        segment.index,
+        cinematicScenes[segment.index]?.name,
+        ...details
+      );
+    }
+  };
+
+  // Stopping, seeking or jumping away still ends the segment that started
+  const interruptSegment = () => {
+    if (openSegmentRef.current) {
+      emitSegmentEvent(openSegmentRef.current, "End", true);
+    }
+  };
+
+  // The intro starts as soon as the first model is on screen
+  const startedRef = useRef(false);
+  useEffect(() => {
+    if (!scene) return;
+    callbacksRef.current.onModelLoaded?.({ scene, animations });
+
+    if (startedRef.current || !introOnLoad) return;
+    startedRef.current = true;
+    timeline.play();
+    openSegmentRef.current = introSegment;
+    callbacksRef.current.onIntroStart?.();
+  }, [scene, animations, timeline, introOnLoad, introSegment]);
+
+  useEffect(() => {
+    if (activeAnimation)
+      callbacksRef.current.onAnimationChange?.(activeAnimation);
+  }, [activeAnimation]);
+
+  const segments = useMemo(
+    () =>
+      buildTimelineSegments({
+        introDuration: introSegment.end,
+        scenes: cinematicScenes,
+        returnDuration: RETURN_DURATION,
+      }),
+    [introSegment, cinematicScenes]
+  );
+
+  // Reports the playhead every frame it moves, and on every seek
+  useEffect(() => {
+    const total = segments.length > 0 ? segments[segments.length - 1].end : 0;
+    const report = (time) => {
+      const segment = activeSegmentRef.current;
+      callbacksRef.current.onProgress?.({
+        time,
+        duration: total,
+        progress: total > 0 ? time / total : 0,
+        segment: segment?.type ?? null,
+        sceneIndex: segment?.type === "scene" ? segment.index : null,
+        segmentProgress: segment
+          ? THREE.MathUtils.clamp(
+              (time - segment.start) / (segment.end - segment.start),
+              0,
+              1
+            )
+          : null,
+      });
+    };
+
+    const unsubscribe = [
+      timeline.on("update", report),
+      timeline.on("seek", report),
+    ];
+    return () => unsubscribe.forEach((off) => off());
+  }, [timeline, segments]);
+
+  // The canvas renders on demand and sits idle between cinematics, which
+  // would read as a slow device; only measure the frame rate during playback
+  const [timelinePlaying, setTimelinePlaying] = useState(false);
+  useEffect(() => {
+    const syncPlaying = () => setTimelinePlaying(timeline.playing);
+    const unsubscribe = [
+      timeline.on("play", syncPlaying),
+      timeline.on("pause", syncPlaying),
+      timeline.on("end", syncPlaying),
+    ];
+    return () => unsubscribe.forEach((off) => off());
+  }, [timeline]);
+
+  // Switches the booth to a timeline segment and moves the playhead into it.
+  // Playback stops (and the timeline emits "end") at the segment's end, or
+  // at its start ("start") when playing in reverse.
+  const enterSegment = (segment, time = segment.start) => {
+    // Scrubbing within a segment isn't a new start
+    if (
+      !isSameSegment(segment, activeSegmentRef.current) ||
+      time === segment.start
+    ) {
+      interruptSegment();
+      emitSegmentEvent(segment, "Start");
+    }
+
+    activeSegmentRef.current = segment;
+    setActiveSegment(segment);
+    setSelectedHotspot(null);
+    setFlyTarget(null);
+    setShow360Rotation(segment.type === "intro");
+    setTransitioningTo360(segment.type === "return");
+    setIsPlaying(segment.type === "scene");
+    setCurrentSceneIndex(segment.type === "scene" ? segment.index : null);
+    if (segment.type === "scene") setLastPlayedSceneIndex(segment.index);
+
+    const sceneData =
+      segment.type === "scene" ? cinematicScenes[segment.index] : null;
+    if (sceneData?.animation) {
+      setActiveAnimation(sceneData.animation);
+    }
+
+    // Hand the camera over gently if a visitor moved it, unless the scene
+    // brings its own transition
+    setHandoff(
+      sceneData && freeLookMovedRef.current && !sceneData.transition
+        ? Math.min(freeLookConfig.handoffDuration / sceneData.duration, 1)
+        : 0
+    );
+    freeLookMovedRef.current = false;
+
+    timeline.setStart(segment.start);
+    timeline.setEnd(segment.end);
+    timeline.seek(time);
+  };
+
+  const leaveSegment = () => {
+    interruptSegment();
+    activeSegmentRef.current = null;
+    setActiveSegment(null);
+  };
+
+  // Handle 360 rotation completion
   const handle360Complete = () => {
     setShow360Rotation(false);
     setRotation360Complete(true);
+    leaveSegment();
   };
 
   // Handle transition back to 360 end completion
   const handleTransitionTo360Complete = () => {
     setTransitioningTo360(false);
+    leaveSegment();
   };
 
   const handleSceneComplete = (index) => {
     setIsPlaying(false);
     setLastPlayedSceneIndex(index);
     setCurrentSceneIndex(null);
+    leaveSegment();
 
-    // If Scene 3 (index 2) just completed, transition back to 360 end position
-    if (index === 2) {
-      setTransitioningTo360(true);
+    // If the last scene just completed, transition back to 360 end position
+    const returnSegment = segments[segments.length - 1];
+    if (index === cinematicScenes.length - 1) {
+      enterSegment(returnSegment);
+      timeline.play();
     }
   };
 
-  const playScene = async (index, skipTransition = false) => {
-    if (isPlaying) return;
+  // Segment ends come from the timeline, never from wall-clock timers
+  const handleSegmentEndRef = useRef(null);
+  useEffect(() => {
+    handleSegmentEndRef.current = (overshoot) => {
+      const segment = activeSegmentRef.current;
+      if (!segment) return;
+
+      emitSegmentEvent(segment, "End");
+      if (segment.type === "intro") {
+        setRotation360Complete(true);
+        markIntroSeen();
+      }
 
-    // Stop 360 rotation if still active
-    setShow360Rotation(false);
-    setTransitioningTo360(false);
+      // Continuous playback runs straight on into the following segment,
+      // keeping the time played past the end so frames stay on the clock
+      const next = segments.find(
+        (candidate) => candidate.start === segment.end
+      );
+      if (continuousRef.current && next) {
+        enterSegment(next, Math.min(next.start + overshoot, next.end));
+        timeline.play();
+        return;
+      }
+
+      if (attractRef.current.active && advancePlaylist(segment)) return;
+
+      if (segment.type === "intro") handle360Complete();
+      if (segment.type === "scene") handleSceneComplete(segment.index);
+      if (segment.type === "return") handleTransitionTo360Complete();
+    };
+  });
+
+  useEffect(
+    () =>
+      timeline.on("end", (time, overshoot) =>
+        handleSegmentEndRef.current?.(overshoot)
+      ),
+    [timeline]
+  );
 
-    // Clear any existing timeout
-    if (sceneTimeoutRef.current) {
-      clearTimeout(sceneTimeoutRef.current);
-      sceneTimeoutRef.current = null;
+  // Reverse playback steps back into the previous segment, keeping the time
+  // it played past the boundary; it stops at the start of the cinematic
+  const handleSegmentRewindRef = useRef(null);
+  useEffect(() => {
+    handleSegmentRewindRef.current = (overshoot) => {
+      const segment = activeSegmentRef.current;
+      const previous =
+        segment &&
+        segments.find((candidate) => candidate.end === segment.start);
+      if (!previous) return;
+
+      enterSegment(
+        previous,
+        Math.max(previous.start, previous.end - overshoot)
+      );
+      timeline.play();
+    };
+  });
+
+  useEffect(
+    () =>
+      timeline.on("start", (time, overshoot) =>
+        handleSegmentRewindRef.current?.(overshoot)
+      ),
+    [timeline]
+  );
+
+  const playSegment = (segment) => {
+    enterSegment(segment);
+    timeline.play();
+  };
+
+  const sceneSegment = (index) =>
+    segments.find(
+      (candidate) => candidate.type === "scene" && candidate.index === index
+    );
+
+  // Picks what attract mode plays after `segment` ends and schedules it
+  // after the configured hold. Returns false once the playlist has finished,
+  // leaving the segment to end as usual.
+  const advancePlaylist = (segment) => {
+    const attract = attractRef.current;
+    const { order } = attract;
+    let next = null;
+
+    if (segment.type === "return" || !order) {
+      if (segment.type === "return" && !playlistConfig.loop) {
+        attract.active = false;
+        return false;
+      }
+      attract.order = buildPlaylistOrder(
+        playlistConfig.order,
+        cinematicScenes,
+        order?.[order.length - 1]
+      );
+      attract.position = -1;
+      next =
+        segment.type === "return" && playlistConfig.intro
+          ? segments[0]
+          : sceneSegment(attract.order[0]);
+      if (next?.type === "scene") attract.position = 0;
+    } else if (attract.position + 1 < order.length) {
+      attract.position += 1;
+      next = sceneSegment(order[attract.position]);
+    } else {
+      next = segments[segments.length - 1];
     }
 
-    const sceneData = cinematicScenes[index];
+    if (!next) {
+      attract.active = false;
+      return false;
+    }
 
-    if (!skipTransition && currentSceneIndex !== null) {
-      await transitionToScene(index);
+    const scene =
+      segment.type === "scene" ? cinematicScenes[segment.index] : null;
+    const hold = holdAfter(playlistConfig.hold, scene);
+    attract.holdTimer = setTimeout(
+      () => playlistHandlersRef.current.playSegment(next),
+      hold * 1000
+    );
+    return true;
+  };
+
+  const startAttract = () => {
+    const attract = attractRef.current;
+    if (!playlistConfig || segments.length === 0) return;
+
+    clearTimeout(attract.holdTimer);
+    attract.active = true;
+    attract.order = null;
+    attract.position = -1;
+    if (playlistConfig.intro) {
+      playSegment(segments[0]);
+    } else {
+      // Without the intro, act as if it had just ended
+      timeline.pause();
+      advancePlaylist(segments[0]);
     }
+  };
 
-    setIsPlaying(true);
-    setCurrentSceneIndex(index);
+  const stopAttract = () => {
+    const attract = attractRef.current;
+    clearTimeout(attract.holdTimer);
+    attract.active = false;
+  };
 
-    if (sceneData.animation) {
-      setActiveAnimation(sceneData.animation);
+  // Timers fire after later renders; they call the latest handlers
+  const playlistHandlersRef = useRef(null);
+  useEffect(() => {
+    playlistHandlersRef.current = { playSegment, startAttract };
+  });
+
+  // Autoplay normally takes over when the intro ends. When the intro doesn't
+  // play on load, it starts as soon as the first model is on screen.
+  useEffect(() => {
+    if (!scene || introOnLoad || startedRef.current) return;
+    if (!attractRef.current.active) return;
+    startedRef.current = true;
+    playlistHandlersRef.current.startAttract();
+  }, [scene, introOnLoad]);
+
+  // Any visitor input ends attract mode and hands them the booth. Attract
+  // mode returns once they have been idle for `idleTimeout` seconds.
+  const handleInteraction = () => {
+    if (!playlistConfig) return;
+    const attract = attractRef.current;
+
+    if (attract.active) {
+      stopAttract();
+      stopPlayback();
     }
 
-    // Store timeout reference
-    sceneTimeoutRef.current = setTimeout(() => {
-      handleSceneComplete(index);
-    }, sceneData.duration * 1000);
+    clearTimeout(attract.idleTimer);
+    if (playlistConfig.idleTimeout > 0) {
+      const resume = () => {
+        // Let a visitor's own cinematic finish first
+        if (activeSegmentRef.current) {
+          attract.idleTimer = setTimeout(
+            resume,
+            playlistConfig.idleTimeout * 1000
+          );
+          return;
+        }
+        playlistHandlersRef.current.startAttract();
+      };
+      attract.idleTimer = setTimeout(resume, playlistConfig.idleTimeout * 1000);
+    }
   };
 
+  useEffect(() => {
+    const attract = attractRef.current;
+    return () => {
+      clearTimeout(attract.holdTimer);
+      clearTimeout(attract.idleTimer);
+    };
+  }, []);
+
   const playNextScene = () => {
-    if (isPlaying) return;
+    if (isPlaying || cinematicScenes.length === 0) return;
 
-    const nextIndex = (lastPlayedSceneIndex + 1) % cinematicScenes.length;
-    playScene(nextIndex, nextIndex === 0);
+    const segment = sceneSegment(
+      (lastPlayedSceneIndex + 1) % cinematicScenes.length
+    );
+    if (segment) playSegment(segment);
   };
 
   const stopPlayback = () => {
-    // Clear timeout when stopping
-    if (sceneTimeoutRef.current) {
-      clearTimeout(sceneTimeoutRef.current);
-      sceneTimeoutRef.current = null;
-    }
-
+    timeline.pause();
+    leaveSegment();
+    setShow360Rotation(false);
+    setTransitioningTo360(false);
     setIsPlaying(false);
     setCurrentSceneIndex(null);
-    setIsTransitioning(false);
   };
 
-  const handleAnimationClick = (animName) => {
-    if (!isPlaying) {
-      setActiveAnimation(animName);
+  // Renders the whole cinematic (intro, every scene and the return) frame by
+  // frame at a fixed rate and resolution, then downloads the result
+  const exportCinematic = async ({
+    fps = 30,
+    width = 1920,
+    height = 1080,
+    format = "png",
+    transparent = false,
+    filename = "booth-cinematic",
+    download = true,
+  } = {}) => {
+    const exporter = exporterRef.current;
+    if (!exporter || exportProgress || segments.length === 0) return null;
+
+    const total = segments[segments.length - 1].end;
+    const frameCount = Math.floor(total * fps) + 1;
+    const writer =
+      format === "webm"
+        ? createWebmWriter({ width, height, fps, transparent })
+        : createPngSequenceWriter();
+    const rate = timeline.rate;
+
+    cancelExportRef.current = false;
+    setExportProgress({ frame: 0, total: frameCount });
+
+    // Wait for the canvas to mount the controllers of a newly entered segment
+    const waitForCommit = (segment) =>
+      new Promise((resolve) => {
+        const canvas = canvasSegmentRef.current;
+        if (canvas.segment === segment) resolve();
+        else canvas.waiting = { segment, resolve };
+      });
+
+    try {
+      stopAttract();
+      continuousRef.current = true;
+      timeline.setRate(1);
+      enterSegment(segments[0]);
+      await waitForCommit(segments[0]);
+
+      exporter.begin({ width, height, transparent });
+      timeline.play();
+
+      for (let frame = 0; frame < frameCount; frame++) {
+        if (cancelExportRef.current) return null;
+
+        const time = frame / fps;
+        const segment = activeSegmentRef.current;
+        let canvas = exporter.renderFrame(time);
+        if (activeSegmentRef.current !== segment) {
+          await waitForCommit(activeSegmentRef.current);
+          canvas = exporter.renderFrame(time);
+        }
+        await writer.addFrame(canvas, frame);
+
+        if (frame % 10 === 0) {
+          setExportProgress({ frame, total: frameCount });
+        }
+      }
+
+      const blob = await writer.finish();
+      if (download) downloadBlob(blob, `${filename}.${writer.extension}`);
+      return blob;
+    } finally {
+      exporter.end();
+      continuousRef.current = false;
+      timeline.setRate(rate);
+      stopPlayback();
+      setExportProgress(null);
     }
   };
 
+  // The segment the canvas last committed, and an export waiting for one
+  const canvasSegmentRef = useRef({ segment: null, waiting: null });
+  const handleSegmentCommit = useCallback((segment) => {
+    const canvas = canvasSegmentRef.current;
+    canvas.segment = segment;
+    if (canvas.waiting?.segment === segment) {
+      canvas.waiting.resolve();
+      canvas.waiting = null;
+    }
+  }, []);
+
+  // Resumes a paused cinematic, or plays the next scene when idle
+  const resume = () => {
+    if (activeSegmentRef.current) {
+      timeline.play();
+    } else {
+      playNextScene();
+    }
+  };
+
+  // Moves the playhead to `time` on the whole cinematic (intro, scenes and
+  // return), keeping the current play/pause state
+  const seekTo = (time) => {
+    if (segments.length === 0) return;
+    const total = segments[segments.length - 1].end;
+    const clamped = THREE.MathUtils.clamp(time, 0, total);
+    enterSegment(findSegment(segments, clamped), clamped);
+  };
+
+  // Jumps straight to a scene, even while another one is playing
+  const goToScene = (index) => {
+    const segment = sceneSegment(index);
+    if (segment) playSegment(segment);
+  };
+
+  // Restarts the current scene, or goes back one if it has only just begun;
+  // from the first scene this goes back to the intro
+  const previousScene = () => {
+    const segment = activeSegmentRef.current;
+    if (segment?.type === "scene") {
+      const restart = timeline.time - segment.start > 2;
+      if (restart) goToScene(segment.index);
+      else if (segment.index > 0) goToScene(segment.index - 1);
+      else playSegment(segments[0]);
+    } else if (lastPlayedSceneIndex >= 0) {
+      goToScene(lastPlayedSceneIndex);
+    } else {
+      playSegment(segments[0]);
+    }
+  };
+
+  const nextScene = () => {
+    if (cinematicScenes.length === 0) return;
+    const segment = activeSegmentRef.current;
+    const current =
+      segment?.type === "scene" ? segment.index : lastPlayedSceneIndex;
+    goToScene((current + 1) % cinematicScenes.length);
+  };
+
+  // Scenes choose the clip while they play; `options` are merged into the
+  // playback settings ({ loop, speed, crossfade })
+  const handleAnimationClick = (animName, options) => {
+    if (isPlaying) return;
+    if (options) {
+      setAnimationPlayback((playback) => ({ ...playback, ...options }));
+    }
+    setActiveAnimation(animName);
+    setAnimationRestart((count) => count + 1);
+  };
+
+  // Layers may change at any time; they play over whatever clip is active
+  const changeAnimationLayers = (layers) =>
+    setAnimationLayers(layers ?? NO_LAYERS);
+
+  // Imperative control for hosts, e.g. scrubbing during live presentations.
+  // `seek` takes a time on the whole cinematic (intro, scenes and return).
+  useImperativeHandle(ref, () => ({
+    play: resume,
+    pause: () => timeline.pause(),
+    seek: seekTo,
+    setRate: (rate) => timeline.setRate(rate),
+    playScene: goToScene,
+    setAnimation: handleAnimationClick,
+    setAnimationLayers: changeAnimationLayers,
+    stop: () => {
+      stopAttract();
+      stopPlayback();
+    },
+    getState: () => {
+      const segment = activeSegmentRef.current;
+      return {
+        time: timeline.time,
+        duration: segments.length > 0 ? segments[segments.length - 1].end : 0,
+        playing: timeline.playing,
+        rate: timeline.rate,
+        segment: segment?.type ?? null,
+        sceneIndex: segment?.type === "scene" ? segment.index : null,
+        sceneName:
+          segment?.type === "scene"
+            ? cinematicScenes[segment.index]?.name
+            : null,
+        scenes: cinematicScenes.map((sceneData) => sceneData.name),
+        introComplete: rotation360Complete,
+        animation: activeAnimation,
+        animationPlayback,
+        animationLayers,
+      };
+    },
+    exportCinematic,
+  }));
+
   return (
     <div
       style={{
@@ -950,6 +2458,9 @@ export default function LandmarkMarketsBooth({ modelPath = "/6.glb" }) {
         height: "100%",
         position: "relative",
       }}
+      onPointerDown={handleInteraction}
+      onWheel={handleInteraction}
+      onKeyDown={handleInteraction}
     >
       {/* Cinematic Scene Control */}
       <div
@@ -964,36 +2475,242 @@ export default function LandmarkMarketsBooth({ modelPath = "/6.glb" }) {
           maxWidth: "280px",
         }}
       >
-        <button
-          onClick={playNextScene}
-          disabled={isPlaying}
+        {studioEnabled ? (
+          <button
+            onClick={() => exportTheatreState(theatreProject)}
+            disabled={!theatre}
+            style={{
+              padding: "16px 24px",
+              background: "linear-gradient(135deg, #667eea 0%, #764ba2 100%)",
+              color: "white",
+              border: "none",
+              borderRadius: "12px",
+              cursor: theatre ? "pointer" : "not-allowed",
+              fontSize: "15px",
+              fontWeight: "700",
+              boxShadow: "0 6px 20px rgba(118, 75, 162, 0.5)",
+              transition: "all 0.3s ease",
+              opacity: theatre ? 1 : 0.6,
+              letterSpacing: "0.5px",
+            }}
+          >
+            Export Theatre State
+          </button>
+        ) : controls ? (
+          <button
+            onClick={playNextScene}
+            disabled={isPlaying}
+            style={{
+              padding: "16px 24px",
+              background: isPlaying
+                ? "linear-gradient(135deg, #555 0%, #333 100%)"
+                : "linear-gradient(135deg, #f093fb 0%, #f5576c 100%)",
+              color: "white",
+              border: "none",
+              borderRadius: "12px",
+              cursor: isPlaying ? "not-allowed" : "pointer",
+              fontSize: "15px",
+              fontWeight: "700",
+              boxShadow: isPlaying
+                ? "none"
+                : "0 6px 20px rgba(245, 87, 108, 0.5)",
+              transition: "all 0.3s ease",
+              opacity: isPlaying ? 0.6 : 1,
+              letterSpacing: "0.5px",
+              display: "flex",
+              alignItems: "center",
+              justifyContent: "center",
+              gap: "10px",
+            }}
+          >
+            <span style={{ fontSize: "18px" }}>▶️</span>
+            Next Scene
+          </button>
+        ) : null}
+
+        {exportable && !studioEnabled && (
+          <button
+            onClick={() =>
+              exportCinematic(exportable === true ? {} : exportable).catch(
+                (error) =>
+                  console.error("[LandmarkMarketsBooth] Export failed:", error)
+              )
+            }
+            disabled={exportProgress !== null}
+            style={{
+              padding: "12px 24px",
+              background: "rgba(0, 0, 0, 0.6)",
+              color: "white",
+              border: "1px solid rgba(255, 255, 255, 0.3)",
+              borderRadius: "12px",
+              cursor: exportProgress ? "not-allowed" : "pointer",
+              fontSize: "14px",
+              fontWeight: "600",
+              transition: "all 0.3s ease",
+              letterSpacing: "0.5px",
+            }}
+          >
+            Export Video
+          </button>
+        )}
+
+        {animationPanel && !studioEnabled && animations.length > 0 && (
+          <AnimationPanel
+            clips={animations}
+            activeAnimation={activeAnimation}
+            playback={animationPlayback}
+            layers={animationLayers}
+            disabled={isPlaying}
+            onPlay={(name) => handleAnimationClick(name)}
+            onPlaybackChange={(options) =>
+              setAnimationPlayback((playback) => ({ ...playback, ...options }))
+            }
+            onLayersChange={changeAnimationLayers}
+          />
+        )}
+      </div>
+
+      {/* Hotspot Info Panel */}
+      {selectedHotspot && (
+        <div
+          role="dialog"
+          aria-label={selectedHotspot.label}
           style={{
-            padding: "16px 24px",
-            background: isPlaying
-              ? "linear-gradient(135deg, #555 0%, #333 100%)"
-              : "linear-gradient(135deg, #f093fb 0%, #f5576c 100%)",
+            position: "absolute",
+            zIndex: 10,
+            top: 20,
+            right: 20,
+            width: "320px",
+            maxHeight: "calc(100% - 40px)",
+            overflowY: "auto",
+            background: "rgba(0, 0, 0, 0.85)",
             color: "white",
-            border: "none",
-            borderRadius: "12px",
-            cursor: isPlaying ? "not-allowed" : "pointer",
-            fontSize: "15px",
-            fontWeight: "700",
-            boxShadow: isPlaying
-              ? "none"
-              : "0 6px 20px rgba(245, 87, 108, 0.5)",
-            transition: "all 0.3s ease",
-            opacity: isPlaying ? 0.6 : 1,
-            letterSpacing: "0.5px",
+            padding: "20px",
+            borderRadius: "16px",
+            backdropFilter: "blur(15px)",
+            border: "1px solid rgba(255, 255, 255, 0.2)",
+            boxShadow: "0 8px 30px rgba(0, 0, 0, 0.6)",
             display: "flex",
+            flexDirection: "column",
+            gap: "12px",
+            fontSize: "14px",
+          }}
+        >
+          <div
+            style={{
+              display: "flex",
+              justifyContent: "space-between",
+              alignItems: "center",
+              gap: "12px",
+            }}
+          >
+            <strong style={{ fontSize: "16px", letterSpacing: "0.5px" }}>
+              {selectedHotspot.label}
+            </strong>
+            <button
+              onClick={() => setSelectedHotspot(null)}
+              aria-label="Close"
+              style={{
+                background: "transparent",
+                color: "white",
+                border: "none",
+                cursor: "pointer",
+                fontSize: "18px",
+              }}
+            >
+              ✕
+            </button>
+          </div>
+          {selectedHotspot.media.map((url) =>
+            isVideoUrl(url) ? (
+              <video
+                key={url}
+                src={url}
+                controls
+                playsInline
+                style={{ width: "100%", borderRadius: "10px" }}
+              />
+            ) : (
+              <img
+                key={url}
+                src={url}
+                alt=""
+                style={{ width: "100%", borderRadius: "10px" }}
+              />
+            )
+          )}
+          {selectedHotspot.description && (
+            <p style={{ margin: 0, lineHeight: 1.5, opacity: 0.9 }}>
+              {selectedHotspot.description}
+            </p>
+          )}
+          {selectedHotspot.link && (
+            <a
+              href={selectedHotspot.link}
+              target="_blank"
+              rel="noopener noreferrer"
+              style={{ color: "#f5576c", fontWeight: "700" }}
+            >
+              {selectedHotspot.linkLabel}
+            </a>
+          )}
+        </div>
+      )}
+
+      {/* Export Progress */}
+      {exportProgress && (
+        <div
+          style={{
+            position: "absolute",
+            inset: 0,
+            zIndex: 20,
+            background: "rgba(0, 0, 0, 0.7)",
+            color: "white",
+            display: "flex",
+            flexDirection: "column",
             alignItems: "center",
             justifyContent: "center",
-            gap: "10px",
+            gap: "16px",
+            fontSize: "15px",
+            fontWeight: "700",
+            letterSpacing: "0.5px",
           }}
         >
-          <span style={{ fontSize: "18px" }}>▶️</span>
-          Next Scene
-        </button>
-      </div>
+          Rendering frame {exportProgress.frame + 1} of {exportProgress.total}
+          <button
+            onClick={() => {
+              cancelExportRef.current = true;
+            }}
+            style={{
+              padding: "10px 20px",
+              background: "transparent",
+              color: "white",
+              border: "1px solid rgba(255, 255, 255, 0.5)",
+              borderRadius: "10px",
+              cursor: "pointer",
+            }}
+          >
+            Cancel
+          </button>
+        </div>
+      )}
+
+      {/* Playback Controls */}
+      {controls && !studioEnabled && segments.length > 0 && (
+        <ControlBar
+          timeline={timeline}
+          segments={segments}
+          scenes={cinematicScenes}
+          currentSceneIndex={currentSceneIndex}
+          onSeek={seekTo}
+          onChapter={goToScene}
+          onPrevious={previousScene}
+          onNext={nextScene}
+          onPlay={resume}
+          onPause={() => timeline.pause()}
+          onStop={stopPlayback}
+        />
+      )}
 
       {/* Status Indicator */}
       {isPlaying && currentSceneIndex !== null && (
@@ -1001,7 +2718,7 @@ export default function LandmarkMarketsBooth({ modelPath = "/6.glb" }) {
           style={{
             position: "absolute",
             zIndex: 10,
-            bottom: 40,
+            bottom: controls && !studioEnabled ? 150 : 40,
             left: "50%",
             transform: "translateX(-50%)",
             background: "rgba(0, 0, 0, 0.85)",
@@ -1032,93 +2749,291 @@ export default function LandmarkMarketsBooth({ modelPath = "/6.glb" }) {
         </div>
       )}
 
-      {/* Transition Overlay */}
-      {isTransitioning && (
-        <div
-          style={{
-            position: "absolute",
-            top: 0,
-            left: 0,
-            width: "100%",
-            height: "100%",
-            background: "rgba(0, 0, 0, 0.5)",
-            zIndex: 5,
-            opacity: transitionProgress,
-            transition: "opacity 0.3s ease",
-            pointerEvents: "none",
-          }}
-        />
-      )}
-
-      <Canvas
-        camera={{ position: [8, 3, 8], fov: 50 }}
-        style={{ width: "100%", height: "100%" }}
-        shadows
-        gl={{ antialias: true, alpha: false }}
+      {/* Without WebGL the booth falls back to its poster */}
+      <ErrorBoundary
+        onError={(error) => {
+          console.error("[LandmarkMarketsBooth] Renderer:", error);
+          setRendererError(error);
+        }}
+        fallback={null}
       >
-        <color attach="background" args={["#0a0a0a"]} />
-        <fog attach="fog" args={["#0a0a0a", 10, 50]} />
-
-        {/* 360 Rotation Camera - Plays once on load */}
-        {show360Rotation && !isPlaying && (
-          <Rotation360Camera isActive={true} onComplete={handle360Complete} />
-        )}
-
-        {/* Transition back to 360 end position after Scene 3 */}
-        {transitioningTo360 && !isPlaying && (
-          <TransitionTo360End
-            isActive={true}
-            onComplete={handleTransitionTo360Complete}
-          />
-        )}
-
-        {/* Lighting */}
-        {!isPlaying ? (
-          <>
-            <ambientLight intensity={0.5} />
-            <directionalLight position={[5, 10, 5]} intensity={1} castShadow />
-            <directionalLight position={[-5, 5, -5]} intensity={0.3} />
-            <spotLight
-              position={[0, 8, 3]}
-              angle={0.5}
-              penumbra={0.8}
-              intensity={0}
-              castShadow
+        <Canvas
+          camera={initialCamera}
+          style={{ width: "100%", height: "100%" }}
+          shadows={qualitySettings.shadows}
+          dpr={qualitySettings.dpr}
+          frameloop={studioEnabled ? "always" : "demand"}
+          gl={{ antialias: true, alpha: true }}
+        >
+          <QualityContext value={qualitySettings}>
+            {quality === "auto" && timelinePlaying && !exportProgress && (
+              <PerformanceMonitor
+                factor={qualityFactor}
+                flipflops={3}
+                onChange={({ factor }) => setQualityFactor(factor)}
+              />
+            )}
+            <ShadowMapResizer size={qualitySettings.shadowMapSize} />
+            <TimelineDriver timeline={timeline} />
+            <CinematicExporter ref={exporterRef} />
+
+            {/* Free look while no cinematic is playing */}
+            {freeLookConfig &&
+              !studioEnabled &&
+              !activeSegment &&
+              !exportProgress && (
+                <FreeLookControls
+                  config={freeLookConfig}
+                  onInteract={() => {
+                    freeLookMovedRef.current = true;
+                    setFlyTarget(null);
+                  }}
+                />
+              )}
+
+            {/* Hotspot markers and fly-to, only while the booth is idle */}
+            {!studioEnabled &&
+              !activeSegment &&
+              !exportProgress &&
+              resolvedHotspots.map((hotspot) => (
+                <HotspotMarker
+                  key={hotspot.id}
+                  hotspot={hotspot}
+                  occlude={[modelRef]}
+                  selected={selectedHotspot?.id === hotspot.id}
+                  onSelect={selectHotspot}
+                />
+              ))}
+            {flyTarget && !activeSegment && (
+              <CameraFlyTo key={flyTarget.id} object={flyTarget.node} />
+            )}
+            <color attach="background" args={["#0a0a0a"]} />
+            <fog attach="fog" args={["#0a0a0a", 10, 50]} />
+
+            {/* Theatre Studio authoring: the sheet drives camera, lights and model */}
+            {studioEnabled && theatre && (
+              <TheatreCinematic theatre={theatre} modelRef={modelRef} />
+            )}
+
+            {/* 360 Rotation Camera - Plays once on load */}
+            {!studioEnabled && show360Rotation && !isPlaying && (
+              <Rotation360Camera
+                timeline={timeline}
+                segment={introSegment}
+                intro={introSettings}
+                modelRef={modelRef}
+              />
+            )}
+
+            {/* Transition back to 360 end position after Scene 3 */}
+            {!studioEnabled && transitioningTo360 && !isPlaying && (
+              <TransitionTo360End
+                timeline={timeline}
+                segment={activeSegment}
+                end={introSettings.end}
+              />
+            )}
+
+            {/* Lighting */}
+            {studioEnabled && theatre ? null : !isPlaying ? (
+              <LightRig rig={lightRig} />
+            ) : (
+              <CinematicSceneManager
+                scene={cinematicScenes[currentSceneIndex]}
+                timeline={timeline}
+                segment={activeSegment}
+                model={scene}
+                modelRef={modelRef}
+                damping={halfLives}
+                handoff={handoff}
+                focus={focusPoint}
+              />
+            )}
+
+            {postSettings && (
+              <Suspense fallback={null}>
+                <PostEffects
+                  settings={postSettings}
+                  scene={isPlaying ? cinematicScenes[currentSceneIndex] : null}
+                  timeline={timeline}
+                  segment={activeSegment}
+                  focus={focusPoint}
+                  model={scene}
+                  composerRef={composerRef}
+                />
+              </Suspense>
+            )}
+
+            {/* Transition into the scene, played over its first seconds */}
+            {isPlaying &&
+              activeSegment &&
+              cinematicScenes[currentSceneIndex]?.transition && (
+                <SceneTransition
+                  key={activeSegment.start}
+                  transition={cinematicScenes[currentSceneIndex].transition}
+                  timeline={timeline}
+                  segment={activeSegment}
+                  composerRef={composerRef}
+                />
+              )}
+
+            <group ref={modelRef}>
+              <ErrorBoundary
+                key={`${modelUrl}#${loadAttempt}`}
+                onError={(error) => {
+                  console.error("[LandmarkMarketsBooth] Model:", error);
+                  setModelError({ url: modelUrl, error });
+                }}
+              >
+                <Suspense fallback={null}>
+                  <BoothModel
+                    url={modelUrl}
+                    decoderPath={decoderPath}
+                    activeAnimation={activeAnimation}
+                    restart={animationRestart}
+                    playback={animationPlayback}
+                    layers={animationLayers}
+                    onProgress={handleModelProgress}
+                    onLoad={handleModelLoad}
+                  />
+                </Suspense>
+              </ErrorBoundary>
+            </group>
+
+            <mesh
+              rotation={[-Math.PI / 2, 0, 0]}
+              position={[0, 0, 0]}
+              receiveShadow
+            >
+              <planeGeometry args={[100, 100]} />
+              <meshStandardMaterial
+                color="#1a1a1a"
+                roughness={0.8}
+                metalness={0.2}
+              />
+            </mesh>
+
+            {/* Rendered once into a cube map sized by the quality level */}
+            <Environment
+              preset="night"
+              resolution={qualitySettings.environmentResolution}
+            >
+              <group />
+            </Environment>
+
+            <SegmentCommit
+              segment={activeSegment}
+              onCommit={handleSegmentCommit}
             />
-          </>
-        ) : (
-          <CinematicSceneManager
-            scene={cinematicScenes[currentSceneIndex]}
-            onComplete={() => {}}
-            transitionProgress={transitionProgress}
-          />
-        )}
-
-        <Suspense fallback={null}>
-          <BoothWithLady
-            activeAnimation={activeAnimation}
-            scene={scene}
-            animations={animations}
-          />
-        </Suspense>
+          </QualityContext>
+        </Canvas>
+      </ErrorBoundary>
 
-        <mesh
-          rotation={[-Math.PI / 2, 0, 0]}
-          position={[0, 0, 0]}
-          receiveShadow
+      {/* Loading Screen */}
+      {!loadedModel && !failure && !rendererError && (
+        <div
+          role="progressbar"
+          aria-label="Loading booth"
+          aria-valuemin={0}
+          aria-valuemax={100}
+          aria-valuenow={
+            loadedFraction !== null
+              ? Math.round(loadedFraction * 100)
+              : undefined
+          }
+          style={{
+            ...overlayStyle(poster),
+            zIndex: 30,
+          }}
         >
-          <planeGeometry args={[100, 100]} />
-          <meshStandardMaterial
-            color="#1a1a1a"
-            roughness={0.8}
-            metalness={0.2}
-          />
-        </mesh>
+          <div
+            style={{
+              fontSize: "20px",
+              fontWeight: "700",
+              letterSpacing: "1px",
+            }}
+          >
+            Landmark Markets
+          </div>
+          <div
+            style={{
+              width: "260px",
+              height: "6px",
+              borderRadius: "3px",
+              background: "rgba(255, 255, 255, 0.15)",
+              overflow: "hidden",
+            }}
+          >
+            <div
+              style={{
+                height: "100%",
+                width:
+                  loadedFraction !== null ? `${loadedFraction * 100}%` : "30%",
+                background: "linear-gradient(135deg, #f093fb 0%, #f5576c 100%)",
+                transition: "width 0.2s ease",
+                animation:
+                  loadedFraction !== null
+                    ? "none"
+                    : "loading 1.2s ease-in-out infinite",
+              }}
+            />
+          </div>
+          <div style={{ fontSize: "13px", opacity: 0.8 }}>
+            {!progress
+              ? "Loading booth…"
+              : loadedFraction !== null
+                ? `${formatMegabytes(progress.loaded)} of ${formatMegabytes(progress.total)}`
+                : `${formatMegabytes(progress.loaded)} loaded`}
+          </div>
+        </div>
+      )}
 
-        <Environment preset="night" />
-      </Canvas>
+      {/* Load Failure */}
+      {(failure || rendererError) && (
+        <div role="alert" style={{ ...overlayStyle(poster), zIndex: 30 }}>
+          <div style={{ fontSize: "18px", fontWeight: "700" }}>
+            {failure ? failure.title : "3D view unavailable"}
+          </div>
+          <div
+            style={{
+              fontSize: "14px",
+              opacity: 0.85,
+              maxWidth: "420px",
+              textAlign: "center",
+              lineHeight: 1.5,
+            }}
+          >
+            {failure
+              ? failure.detail
+              : "This browser or device can't display the 3D booth."}
+          </div>
+          {failure && (
+            <button
+              onClick={retryModel}
+              style={{
+                padding: "12px 28px",
+                background: "linear-gradient(135deg, #f093fb 0%, #f5576c 100%)",
+                color: "white",
+                border: "none",
+                borderRadius: "12px",
+                cursor: "pointer",
+                fontSize: "15px",
+                fontWeight: "700",
+                letterSpacing: "0.5px",
+              }}
+            >
+              Try Again
+            </button>
+          )}
+        </div>
+      )}
 
       <style>{`
+        @keyframes loading {
+          from { transform: translateX(-100%); }
+          to { transform: translateX(340%); }
+        }
+
         @keyframes pulse {
           0%, 100% { 
             opacity: 1; 
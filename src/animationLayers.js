@@ -0,0 +1,90 @@
+import * as THREE from "three";
+
+/* =======================
+  Character Animation Playback
+======================= */
+// How the main clip plays. `loop` is "repeat" or "once" (holds the last
+// pose); `crossfade` is the fade between clips in seconds.
+export const DEFAULT_ANIMATION_PLAYBACK = {
+  loop: "repeat",
+  speed: 1,
+  crossfade: 0.8,
+};
+
+// Applies loop mode and speed to a running action without restarting it
+export function applyPlayback(action, { loop, speed }) {
+  const once = loop === "once";
+  action.setLoop(once ? THREE.LoopOnce : THREE.LoopRepeat, Infinity);
+  action.clampWhenFinished = once;
+  action.timeScale = speed;
+  // A clip held on its last pose picks up again when switched to repeat
+  if (!once && action.paused) action.paused = false;
+}
+
+/* =======================
+  Layered Clips
+======================= */
+// Layers play on top of the main clip:
+//
+//   [
+//     { clip: "Idle", weight: 1, mask: "Spine" },
+//     { clip: "Wave", weight: 2, mask: ["RightShoulder"], loop: "once" }
+//   ]
+//
+// `mask` limits a layer to the named nodes and everything below them.
+// Where clips animate the same node they blend by weight, relative to the
+// main clip's weight of 1.
+export function normalizeLayers(layers, animations) {
+  if (!layers) return [];
+
+  return layers.flatMap((layer) => {
+    if (!animations.some((clip) => clip.name === layer.clip)) {
+      console.warn(
+        `[LandmarkMarketsBooth] Animation layers: no clip named "${layer.clip}"`
+      );
+      return [];
+    }
+    const mask = layer.mask ? [layer.mask].flat() : null;
+    return [
+      {
+        clip: layer.clip,
+        weight: layer.weight ?? 1,
+        mask,
+        loop: layer.loop ?? DEFAULT_ANIMATION_PLAYBACK.loop,
+        speed: layer.speed ?? DEFAULT_ANIMATION_PLAYBACK.speed,
+        key: mask ? `${layer.clip}|${mask.join(",")}` : layer.clip,
+      },
+    ];
+  });
+}
+
+// Copy of `clip` keeping only the tracks that animate `mask` nodes or their
+// descendants. Unmasked layers get a plain copy, so a layer never shares its
+// action with the main clip.
+export function layerClip(clip, root, mask) {
+  if (!mask) return clip.clone();
+
+  const names = new Set();
+  for (const name of mask) {
+    const node =
+      root.getObjectByName(name) ||
+      root.getObjectByName(THREE.PropertyBinding.sanitizeNodeName(name));
+    if (!node) {
+      console.warn(
+        `[LandmarkMarketsBooth] Animation layers: no node named "${name}" to mask "${clip.name}" with`
+      );
+      continue;
+    }
+    // Tracks of unnamed nodes are bound by uuid
+    node.traverse((child) => names.add(child.name).add(child.uuid));
+  }
+
+  const tracks = clip.tracks.filter((track) =>
+    names.has(THREE.PropertyBinding.parseTrackName(track.name).nodeName)
+  );
+  return new THREE.AnimationClip(
+    `${clip.name} (${mask.join(", ")})`,
+    clip.duration,
+    tracks
+  );
+}
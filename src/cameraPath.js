@@ -0,0 +1,55 @@
+import * as THREE from "three";
+
+/* =======================
+  Spline Camera Paths
+======================= */
+// Curve types accepted by a scene's `path`, besides the default "linear"
+export const SPLINE_PATH_TYPES = ["centripetal", "chordal", "catmullrom"];
+
+// Builds continuous Catmull-Rom curves through every camera keyframe. The
+// lookAt and FOV curves share the position curve's parameter, so each
+// keyframe's lookAt and FOV are reached exactly when the camera passes its
+// position.
+export function createCameraPath(keyframes, type = "centripetal") {
+  const curve = (points) => new THREE.CatmullRomCurve3(points, false, type);
+  const hasFov = keyframes.every((keyframe) => keyframe.fov !== undefined);
+
+  const position = curve(keyframes.map((keyframe) => keyframe.position));
+  // Enough samples for an even speed on long, winding orbits
+  position.arcLengthDivisions = 50 * keyframes.length;
+
+  return {
+    position,
+    lookAt: curve(keyframes.map((keyframe) => keyframe.lookAt)),
+    fov: hasFov
+      ? curve(
+          keyframes.map((keyframe) => new THREE.Vector3(keyframe.fov, 0, 0))
+        )
+      : null,
+  };
+}
+
+const fovSample = new THREE.Vector3();
+
+// Samples the path at `u` (0-1) of its arc length, so the camera travels at
+// constant speed. Writes into `position` and `lookAt`; returns the FOV, or
+// null when the keyframes don't all specify one.
+export function sampleCameraPath(path, u, position, lookAt) {
+  const t = path.position.getUtoTmapping(THREE.MathUtils.clamp(u, 0, 1));
+  return samplePathAt(path, t, position, lookAt);
+}
+
+// Samples the path `ease` (0-1) of the way from keyframe `index` to the
+// next one, for scenes whose keyframes set their own easing: the camera
+// then follows the keyframe times instead of a constant speed.
+export function sampleCameraPathBetween(path, index, ease, position, lookAt) {
+  const segments = path.position.points.length - 1;
+  const t = segments > 0 ? (index + ease) / segments : 0;
+  return samplePathAt(path, THREE.MathUtils.clamp(t, 0, 1), position, lookAt);
+}
+
+function samplePathAt(path, t, position, lookAt) {
+  path.position.getPoint(t, position);
+  path.lookAt.getPoint(t, lookAt);
+  return path.fov ? path.fov.getPoint(t, fovSample).x : null;
+}
@@ -0,0 +1,114 @@
+import * as THREE from "three";
+
+/* =======================
+  Critically Damped Springs
+======================= */
+// Exact integration of a critically damped spring, so the result depends only
+// on elapsed time and not on how it is sliced into frames: a 30Hz kiosk and
+// a 144Hz monitor follow the same trajectory. `halfLife` is the time, in
+// seconds, the spring takes to close roughly half the distance to its target.
+
+// Half-lives (seconds) used unless the booth's `damping` prop overrides them
+export const DEFAULT_HALF_LIVES = {
+  position: 0.07,
+  rotation: 0.11,
+  fov: 0.11,
+  light: 0.14,
+};
+
+// Advances one spring dimension; returns [value, velocity]
+function springStep(value, velocity, target, halfLife, dt) {
+  const y = (2 * Math.LN2) / Math.max(halfLife, 1e-5);
+  const j0 = value - target;
+  const j1 = velocity + j0 * y;
+  const eydt = Math.exp(-y * dt);
+
+  return [eydt * (j0 + j1 * dt) + target, eydt * (velocity - j1 * y * dt)];
+}
+
+export class ScalarSpring {
+  constructor(value = 0) {
+    this.value = value;
+    this.velocity = 0;
+  }
+
+  update(target, halfLife, dt) {
+    [this.value, this.velocity] = springStep(
+      this.value,
+      this.velocity,
+      target,
+      halfLife,
+      dt
+    );
+    return this.value;
+  }
+
+  snap(value) {
+    this.value = value;
+    this.velocity = 0;
+    return this.value;
+  }
+}
+
+export class VectorSpring {
+  constructor(value = new THREE.Vector3()) {
+    this.value = value.clone();
+    this.velocity = new THREE.Vector3();
+  }
+
+  update(target, halfLife, dt) {
+    ["x", "y", "z"].forEach((axis) => {
+      [this.value[axis], this.velocity[axis]] = springStep(
+        this.value[axis],
+        this.velocity[axis],
+        target[axis],
+        halfLife,
+        dt
+      );
+    });
+    return this.value;
+  }
+
+  snap(value) {
+    this.value.copy(value);
+    this.velocity.set(0, 0, 0);
+    return this.value;
+  }
+}
+
+// Springs the angle remaining between the current and target orientation
+// down to zero, then slerps by the distance covered
+export class QuaternionSpring {
+  constructor(value = new THREE.Quaternion()) {
+    this.value = value.clone();
+    this.velocity = 0;
+  }
+
+  update(target, halfLife, dt) {
+    const angle = this.value.angleTo(target);
+    if (angle < 1e-6) {
+      this.velocity = 0;
+      return this.value.copy(target);
+    }
+
+    const [remaining, velocity] = springStep(
+      angle,
+      this.velocity,
+      0,
+      halfLife,
+      dt
+    );
+    this.velocity = velocity;
+    this.value.slerp(
+      target,
+      THREE.MathUtils.clamp(1 - remaining / angle, 0, 1)
+    );
+    return this.value;
+  }
+
+  snap(value) {
+    this.value.copy(value);
+    this.velocity = 0;
+    return this.value;
+  }
+}
@@ -0,0 +1,13 @@
+/* =======================
+  File Downloads
+======================= */
+// Saves a blob through a temporary download link
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.click();
+  // Some browsers only start reading the blob after click() returns
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
@@ -0,0 +1,124 @@
+/* =======================
+  Advanced Easing Functions
+======================= */
+// Robert Penner's curves, built from their ease-in form: ease-out mirrors it
+// and ease-in-out plays it in, then out, over half the time each
+const easeOut = (easeIn) => (t) => 1 - easeIn(1 - t);
+const easeInOut = (easeIn) => (t) =>
+  t < 0.5 ? easeIn(2 * t) / 2 : 1 - easeIn(2 - 2 * t) / 2;
+
+const BACK_OVERSHOOT = 1.70158;
+
+const easeInCurves = {
+  Quad: (t) => t * t,
+  Cubic: (t) => t * t * t,
+  Quart: (t) => t * t * t * t,
+  Quint: (t) => t * t * t * t * t,
+  Sine: (t) => 1 - Math.cos((t * Math.PI) / 2),
+  Expo: (t) => (t === 0 ? 0 : Math.pow(2, 10 * t - 10)),
+  Circ: (t) => 1 - Math.sqrt(1 - t * t),
+  Back: (t) => t * t * ((BACK_OVERSHOOT + 1) * t - BACK_OVERSHOOT),
+  Elastic: (t) =>
+    t === 0 || t === 1
+      ? t
+      : -Math.pow(2, 10 * t - 10) *
+        Math.sin(((t * 10 - 10.75) * 2 * Math.PI) / 3),
+  Bounce: (t) => 1 - bounceOut(1 - t),
+};
+
+function bounceOut(t) {
+  const n = 7.5625;
+  const d = 2.75;
+  if (t < 1 / d) return n * t * t;
+  if (t < 2 / d) return n * (t -= 1.5 / d) * t + 0.75;
+  if (t < 2.5 / d) return n * (t -= 2.25 / d) * t + 0.9375;
+  return n * (t -= 2.625 / d) * t + 0.984375;
+}
+
+const pennerEasings = Object.fromEntries(
+  Object.entries(easeInCurves).flatMap(([name, easeIn]) => [
+    [`easeIn${name}`, easeIn],
+    [`easeOut${name}`, easeOut(easeIn)],
+    [`easeInOut${name}`, easeInOut(easeIn)],
+  ])
+);
+
+export const easings = {
+  ...pennerEasings,
+
+  // Ultra-smooth hermite interpolation
+  smootherstep: (t) => {
+    return t * t * t * (t * (t * 6 - 15) + 10);
+  },
+
+  linear: (t) => t,
+
+  // Keeps the keyframe's value, then cuts to the next one when it is reached
+  hold: (t) => (t < 1 ? 0 : 1),
+  step: (t) => (t < 1 ? 0 : 1),
+};
+
+// Easings that jump instead of moving, so smoothing shouldn't soften them
+const STEP_EASINGS = new Set([easings.hold, easings.step]);
+export const isStepEasing = (ease) => STEP_EASINGS.has(ease);
+
+/* =======================
+  Cubic Bézier Easing
+======================= */
+// Same curve as CSS cubic-bezier(x1, y1, x2, y2) and Theatre.js keyframe
+// handles: x is time, y is progress, both from 0 to 1
+export function cubicBezier(x1, y1, x2, y2) {
+  // Coefficients of the polynomial form, for x and y
+  const cx = 3 * x1;
+  const bx = 3 * (x2 - x1) - cx;
+  const ax = 1 - cx - bx;
+  const cy = 3 * y1;
+  const by = 3 * (y2 - y1) - cy;
+  const ay = 1 - cy - by;
+
+  const sampleX = (s) => ((ax * s + bx) * s + cx) * s;
+  const sampleY = (s) => ((ay * s + by) * s + cy) * s;
+  const slopeX = (s) => (3 * ax * s + 2 * bx) * s + cx;
+
+  // Curve parameter at which x equals `x`: Newton's method, with bisection
+  // where the curve is too flat for it
+  const solve = (x) => {
+    let s = x;
+    for (let i = 0; i < 8; i++) {
+      const error = sampleX(s) - x;
+      if (Math.abs(error) < 1e-6) return s;
+      const slope = slopeX(s);
+      if (Math.abs(slope) < 1e-6) break;
+      s -= error / slope;
+    }
+
+    let low = 0;
+    let high = 1;
+    s = x;
+    while (high - low > 1e-6) {
+      if (sampleX(s) < x) low = s;
+      else high = s;
+      s = (low + high) / 2;
+    }
+    return s;
+  };
+
+  return (t) => (t <= 0 ? 0 : t >= 1 ? 1 : sampleY(solve(t)));
+}
+
+// Whether `value` is a valid [x1, y1, x2, y2] handle array. The x values
+// must stay within 0-1 so the curve never runs backwards in time.
+export const isBezierHandles = (value) =>
+  Array.isArray(value) &&
+  value.length === 4 &&
+  value.every((n) => typeof n === "number" && Number.isFinite(n)) &&
+  value[0] >= 0 &&
+  value[0] <= 1 &&
+  value[2] >= 0 &&
+  value[2] <= 1;
+
+// Turns an easing name or handle array into its function
+export function resolveEasing(easing) {
+  if (Array.isArray(easing)) return cubicBezier(...easing);
+  return easings[easing];
+}
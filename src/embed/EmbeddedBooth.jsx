@@ -0,0 +1,93 @@
+import { useEffect, useRef } from "react";
+import LandmarkMarketsBooth from "../LandmarkMarketsBooth";
+import { boothPropsFrom, boothEventProps, runBoothCommand } from "./boothProps";
+
+/* =======================
+  iframe Embed Page
+======================= */
+// Full-page booth for embedding with <iframe src="/embed.html?model=...">.
+// The host page drives it with postMessage and receives its events back:
+//
+//   iframe.contentWindow.postMessage(
+//     { channel: "lm-booth", command: "seek", time: 14.5 },
+//     "https://booth.example.com"
+//   );
+//   window.addEventListener("message", ({ data }) => {
+//     if (data.channel === "lm-booth") console.log(data.event, data.detail);
+//   });
+
+const CHANNEL = "lm-booth";
+
+// Origins allowed to send commands and receive events, set at build time
+// (comma-separated). The embed page's own origin is always allowed. The
+// allowlist can't come from the URL: whoever embeds the page controls that.
+const allowedOrigins = [
+  window.location.origin,
+  ...(import.meta.env.VITE_EMBED_ALLOWED_ORIGINS || "")
+    .split(",")
+    .map((origin) => origin.trim())
+    .filter(Boolean),
+];
+
+const isOriginAllowed = (origin) =>
+  allowedOrigins.includes("*") || allowedOrigins.includes(origin);
+
+// Events go to every allowed origin; the browser only delivers them if the
+// parent actually is one of them
+function postToHost(message) {
+  if (window.parent === window) return;
+  const targets = allowedOrigins.includes("*") ? ["*"] : allowedOrigins;
+  targets.forEach((origin) => window.parent.postMessage(message, origin));
+}
+
+const emit = (event, detail = null) =>
+  postToHost({ channel: CHANNEL, event, detail });
+
+export default function EmbeddedBooth() {
+  const booth = useRef(null);
+  const params = new URLSearchParams(window.location.search);
+
+  useEffect(() => {
+    const handleMessage = (event) => {
+      const { data } = event;
+      if (data?.channel !== CHANNEL || typeof data.command !== "string") {
+        return;
+      }
+      if (!isOriginAllowed(event.origin)) {
+        console.warn(
+          `[LandmarkMarketsBooth] Embed: ignored "${data.command}" from ${event.origin}, which is not an allowed origin`
+        );
+        return;
+      }
+      if (!booth.current) return;
+
+      const { channel: _channel, command, id, ...args } = data;
+      const reply = (message) =>
+        event.source?.postMessage(
+          { channel: CHANNEL, id, ...message },
+          event.origin
+        );
+      try {
+        const result = runBoothCommand(booth.current, command, args);
+        if (id !== undefined)
+          reply({ event: "result", detail: result ?? null });
+      } catch (error) {
+        reply({ event: "error", detail: error.message });
+      }
+    };
+
+    window.addEventListener("message", handleMessage);
+    emit("ready");
+    return () => window.removeEventListener("message", handleMessage);
+  }, []);
+
+  return (
+    <div style={{ width: "100%", height: "100%" }}>
+      <LandmarkMarketsBooth
+        ref={booth}
+        {...boothPropsFrom((name) => params.get(name))}
+        {...boothEventProps(emit)}
+      />
+    </div>
+  );
+}
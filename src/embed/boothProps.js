@@ -0,0 +1,158 @@
+/* =======================
+  Embed Configuration
+======================= */
+// Shared by the <lm-booth> element and the iframe embed page, so both accept
+// the same options: element attributes and embed-page query parameters.
+
+// Missing means "use the default"; "false" and "0" switch an option off
+function flag(value) {
+  if (value === null || value === undefined) return undefined;
+  return value !== "false" && value !== "0";
+}
+
+// `read(name)` returns the option's string value, or null when it is unset
+export function boothPropsFrom(read) {
+  const props = {
+    modelPath: read("model") ?? undefined,
+    poster: read("poster") ?? undefined,
+    decoderPath: read("decoder-path") ?? undefined,
+    quality: read("quality") ?? undefined,
+    scenes: read("scenes") ?? undefined,
+    theatreState: read("theatre-state") ?? undefined,
+    controls: flag(read("controls")),
+    intro: flag(read("intro")),
+    freeLook: flag(read("free-look")),
+    playlist: flag(read("playlist")),
+    postProcessing: flag(read("post-processing")),
+  };
+
+  // Leave unset options out so the booth's own defaults apply
+  return Object.fromEntries(
+    Object.entries(props).filter(([, value]) => value !== undefined)
+  );
+}
+
+// Names of the option attributes/parameters, for observedAttributes
+export const BOOTH_OPTIONS = [
+  "model",
+  "poster",
+  "decoder-path",
+  "quality",
+  "scenes",
+  "theatre-state",
+  "controls",
+  "intro",
+  "free-look",
+  "playlist",
+  "post-processing",
+];
+
+// Booth callbacks forwarded as named events with plain, serializable
+// details, so they survive postMessage
+export function boothEventProps(emit) {
+  return {
+    onIntroStart: () => emit("introstart"),
+    onIntroEnd: ({ interrupted }) => emit("introend", { interrupted }),
+    onSceneStart: (index, name) => emit("scenestart", { index, name }),
+    onSceneEnd: (index, name, { interrupted }) =>
+      emit("sceneend", { index, name, interrupted }),
+    onProgress: (progress) => emit("progress", progress),
+    onAnimationChange: (name) => emit("animationchange", { name }),
+    onModelLoaded: ({ animations }) =>
+      emit("modelloaded", { animations: animations.map((clip) => clip.name) }),
+  };
+}
+
+/* =======================
+  Commands
+======================= */
+// Command arguments arrive from other pages, so anything the booth can't
+// take is rejected with an error instead of reaching it
+
+// A finite number (or numeric string) within the given range
+function numberArg(value, name, { min, max, integer = false } = {}) {
+  const number =
+    typeof value === "string" && value.trim() !== "" ? Number(value) : value;
+  if (typeof number !== "number" || !Number.isFinite(number)) {
+    throw new Error(
+      `"${name}" must be a finite number, got ${JSON.stringify(value)}`
+    );
+  }
+  if (integer && !Number.isInteger(number)) {
+    throw new Error(`"${name}" must be a whole number, got ${number}`);
+  }
+  if (
+    (min !== undefined && number < min) ||
+    (max !== undefined && number > max)
+  ) {
+    throw new Error(
+      `"${name}" must be between ${min ?? "-Infinity"} and ${max ?? "Infinity"}, got ${number}`
+    );
+  }
+  return number;
+}
+
+const LOOP_MODES = ["repeat", "once"];
+
+// Only the playback settings the booth knows, each checked
+function playbackOptions({ loop, speed, crossfade }) {
+  const options = {};
+  if (loop !== undefined) {
+    if (!LOOP_MODES.includes(loop)) {
+      throw new Error(
+        `"loop" must be one of ${LOOP_MODES.join(", ")}, got ${JSON.stringify(loop)}`
+      );
+    }
+    options.loop = loop;
+  }
+  if (speed !== undefined) options.speed = numberArg(speed, "speed");
+  if (crossfade !== undefined) {
+    options.crossfade = numberArg(crossfade, "crossfade", { min: 0 });
+  }
+  return options;
+}
+
+// Commands an embedding page may send; each maps onto the booth's ref API
+const COMMANDS = {
+  play: (booth) => booth.play(),
+  pause: (booth) => booth.pause(),
+  stop: (booth) => booth.stop(),
+  seek: (booth, { time }) => booth.seek(numberArg(time, "time", { min: 0 })),
+  setRate: (booth, { rate }) => booth.setRate(numberArg(rate, "rate")),
+  goToScene: (booth, { index }) =>
+    booth.playScene(
+      numberArg(index, "index", {
+        min: 0,
+        max: booth.getState().scenes.length - 1,
+        integer: true,
+      })
+    ),
+  setAnimation: (booth, { name, ...options }) => {
+    if (typeof name !== "string" || name.length === 0) {
+      throw new Error(
+        `"name" must be an animation name, got ${JSON.stringify(name)}`
+      );
+    }
+    return booth.setAnimation(name, playbackOptions(options));
+  },
+  setAnimationLayers: (booth, { layers }) => {
+    if (layers !== null && layers !== undefined && !Array.isArray(layers)) {
+      throw new Error(
+        `"layers" must be a list of layers, got ${JSON.stringify(layers)}`
+      );
+    }
+    return booth.setAnimationLayers(layers);
+  },
+  getState: (booth) => booth.getState(),
+};
+
+// Runs `command` with its arguments and returns the result (getState's
+// snapshot). Unknown commands and invalid arguments throw.
+export function runBoothCommand(booth, command, args = {}) {
+  if (!Object.hasOwn(COMMANDS, command)) {
+    throw new Error(
+      `Unknown command "${command}" (expected one of ${Object.keys(COMMANDS).join(", ")})`
+    );
+  }
+  return COMMANDS[command](booth, args);
+}
@@ -0,0 +1,116 @@
+import { createRef } from "react";
+import { createRoot } from "react-dom/client";
+import LandmarkMarketsBooth from "../LandmarkMarketsBooth";
+import {
+  BOOTH_OPTIONS,
+  boothPropsFrom,
+  boothEventProps,
+  runBoothCommand,
+} from "./boothProps";
+
+/* =======================
+  <lm-booth> Custom Element
+======================= */
+// Framework-free embed for partner sites. React and three.js are bundled in,
+// so one script tag is all a page needs:
+//
+//   <script type="module" src="lm-booth.js"></script>
+//   <lm-booth model="/6.glb" style="height: 600px"></lm-booth>
+//
+// Booth events are dispatched as DOM events (scenestart, progress, ...)
+// with their details in `event.detail`.
+class LmBoothElement extends HTMLElement {
+  static get observedAttributes() {
+    return BOOTH_OPTIONS;
+  }
+
+  constructor() {
+    super();
+    this.booth = createRef();
+
+    const shadow = this.attachShadow({ mode: "open" });
+    const style = document.createElement("style");
+    style.textContent =
+      ":host { display: block; position: relative; height: 100%; }";
+    this.container = document.createElement("div");
+    this.container.style.cssText = "width: 100%; height: 100%;";
+    shadow.append(style, this.container);
+  }
+
+  connectedCallback() {
+    // Moving the element in the DOM disconnects and reconnects it
+    clearTimeout(this.unmountTimer);
+    this.root ??= createRoot(this.container);
+    this.render();
+  }
+
+  disconnectedCallback() {
+    this.unmountTimer = setTimeout(() => {
+      this.root?.unmount();
+      this.root = null;
+    });
+  }
+
+  attributeChangedCallback() {
+    if (this.root) this.render();
+  }
+
+  render() {
+    const emit = (type, detail = null) =>
+      this.dispatchEvent(new CustomEvent(type, { detail }));
+
+    this.root.render(
+      <LandmarkMarketsBooth
+        ref={this.booth}
+        {...boothPropsFrom((name) => this.getAttribute(name))}
+        {...boothEventProps(emit)}
+      />
+    );
+  }
+
+  // Same commands as the iframe embed's postMessage channel
+  command(name, args) {
+    if (!this.booth.current) return undefined;
+    return runBoothCommand(this.booth.current, name, args);
+  }
+
+  play() {
+    this.command("play");
+  }
+
+  pause() {
+    this.command("pause");
+  }
+
+  stop() {
+    this.command("stop");
+  }
+
+  seek(time) {
+    this.command("seek", { time });
+  }
+
+  setRate(rate) {
+    this.command("setRate", { rate });
+  }
+
+  goToScene(index) {
+    this.command("goToScene", { index });
+  }
+
+  setAnimation(name, options) {
+    this.command("setAnimation", { name, ...options });
+  }
+
+  setAnimationLayers(layers) {
+    this.command("setAnimationLayers", { layers });
+  }
+
+  getState() {
+    return this.command("getState");
+  }
+}
+
+if (!customElements.get("lm-booth")) {
+  customElements.define("lm-booth", LmBoothElement);
+}
@@ -0,0 +1,4 @@
+import { createRoot } from "react-dom/client";
+import EmbeddedBooth from "./EmbeddedBooth";
+
+createRoot(document.getElementById("root")).render(<EmbeddedBooth />);
@@ -0,0 +1,117 @@
+import { Zip, ZipPassThrough } from "fflate";
+import { Muxer, ArrayBufferTarget } from "webm-muxer";
+
+/* =======================
+  Frame Writers
+======================= */
+// Both writers take frames straight from the WebGL canvas. addFrame() must be
+// called synchronously after the frame was rendered, before the browser
+// clears the drawing buffer; it reads the canvas before its first await.
+
+const frameName = (index) => `frame_${String(index).padStart(5, "0")}.png`;
+
+// PNG sequence zipped as it is captured. PNGs are already compressed, so
+// entries are stored as-is.
+export function createPngSequenceWriter() {
+  const chunks = [];
+  let zipError = null;
+  const zip = new Zip((error, data) => {
+    if (error) zipError = error;
+    else chunks.push(data);
+  });
+
+  return {
+    extension: "zip",
+
+    async addFrame(canvas, index) {
+      const png = await new Promise((resolve, reject) => {
+        canvas.toBlob(
+          (blob) =>
+            blob ? resolve(blob) : reject(new Error("Failed to capture frame")),
+          "image/png"
+        );
+      });
+
+      const entry = new ZipPassThrough(frameName(index));
+      zip.add(entry);
+      entry.push(new Uint8Array(await png.arrayBuffer()), true);
+      if (zipError) throw zipError;
+    },
+
+    async finish() {
+      zip.end();
+      if (zipError) throw zipError;
+      return new Blob(chunks, { type: "application/zip" });
+    },
+  };
+}
+
+// VP9 WebM encoded with WebCodecs. Every frame gets an exact timestamp from
+// its index, so the video plays at `fps` however long each frame took to
+// render.
+export function createWebmWriter({ width, height, fps, transparent }) {
+  if (typeof VideoEncoder === "undefined") {
+    throw new Error(
+      "WebM export needs WebCodecs (VideoEncoder), which this browser does not support"
+    );
+  }
+
+  const muxer = new Muxer({
+    target: new ArrayBufferTarget(),
+    video: {
+      codec: "V_VP9",
+      width,
+      height,
+      frameRate: fps,
+      alpha: transparent,
+    },
+  });
+
+  let encodeError = null;
+  const encoder = new VideoEncoder({
+    output: (chunk, meta) => muxer.addVideoChunk(chunk, meta),
+    error: (error) => {
+      encodeError = error;
+    },
+  });
+  encoder.configure({
+    codec: "vp09.00.10.08",
+    width,
+    height,
+    framerate: fps,
+    bitrate: 20_000_000,
+    alpha: transparent ? "keep" : "discard",
+  });
+
+  const frameDuration = 1e6 / fps; // microseconds
+
+  return {
+    extension: "webm",
+
+    async addFrame(canvas, index) {
+      const frame = new VideoFrame(canvas, {
+        timestamp: Math.round(index * frameDuration),
+        duration: Math.round(frameDuration),
+      });
+      // A keyframe every two seconds keeps the file seekable
+      encoder.encode(frame, { keyFrame: index % (fps * 2) === 0 });
+      frame.close();
+
+      // Let the encoder catch up instead of queueing the whole cinematic
+      while (encoder.encodeQueueSize > 8 && !encodeError) {
+        await new Promise((resolve) =>
+          encoder.addEventListener("dequeue", resolve, { once: true })
+        );
+      }
+      if (encodeError) throw encodeError;
+    },
+
+    async finish() {
+      await encoder.flush();
+      encoder.close();
+      if (encodeError) throw encodeError;
+      muxer.finalize();
+      return new Blob([muxer.target.buffer], { type: "video/webm" });
+    },
+  };
+}
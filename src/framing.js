@@ -0,0 +1,68 @@
+import * as THREE from "three";
+import { findNode } from "./hotspots";
+
+/* =======================
+  Camera Framing
+======================= */
+// Distance at which a sphere of `radius` fits the view of a perspective
+// camera with vertical `fov` (degrees), whichever of the vertical or
+// horizontal field is narrower. `margin` leaves room around the edges.
+export function fitDistance(radius, fov, aspect, margin = 1.2) {
+  const verticalFov = THREE.MathUtils.degToRad(fov);
+  const horizontalFov = 2 * Math.atan(Math.tan(verticalFov / 2) * aspect);
+
+  return (margin * radius) / Math.sin(Math.min(verticalFov, horizontalFov) / 2);
+}
+
+// Camera pose framing a world-space box. The camera keeps looking from the
+// side of `direction` (a vector pointing from the box towards the camera),
+// which defaults to where the camera already is.
+export function frameBox(box, camera, { direction, margin } = {}) {
+  const lookAt = box.getCenter(new THREE.Vector3());
+  const radius = box.getBoundingSphere(new THREE.Sphere()).radius;
+  const towardsCamera = (
+    direction ? direction.clone() : camera.position.clone().sub(lookAt)
+  ).normalize();
+
+  const distance = fitDistance(radius, camera.fov, camera.aspect, margin);
+  const position = lookAt.clone().addScaledVector(towardsCamera, distance);
+
+  return { position, lookAt, distance };
+}
+
+/* =======================
+  Model-Relative Points
+======================= */
+// World bounding box of the node named `node`, or of the whole model
+function anchorBox(model, node) {
+  const object = node ? findNode(model, node) : model;
+  return new THREE.Box3().setFromObject(object);
+}
+
+// World position of a parsed keyframe point. Vectors are used as they are;
+// anchors `{ node, box, offset }` sit at `box` (normalized 0-1 coordinates,
+// the center if left out) inside the bounding box of the node or the whole
+// model, moved by `offset` world units.
+export function resolveAnchor(point, model) {
+  if (point.isVector3) return point.clone();
+
+  const box = anchorBox(model, point.node);
+  const position = point.box
+    ? box.min.clone().add(box.getSize(new THREE.Vector3()).multiply(point.box))
+    : box.getCenter(new THREE.Vector3());
+  if (point.offset) position.add(point.offset);
+  return position;
+}
+
+// Camera position for a fitted point `{ fit, direction, margin }`: seen from
+// `direction`, backed off from `lookAt` until the bounding sphere of `fit`
+// (a node, or the whole model) fills a view of `fov` at `aspect`
+export function resolveFitPosition(point, lookAt, model, fov, aspect) {
+  const box = anchorBox(model, point.fit);
+  const { radius } = box.getBoundingSphere(new THREE.Sphere());
+  const distance = fitDistance(radius, fov, aspect, point.margin);
+
+  return lookAt
+    .clone()
+    .addScaledVector(point.direction.clone().normalize(), distance);
+}
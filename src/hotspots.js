@@ -0,0 +1,80 @@
+import { PropertyBinding } from "three";
+
+/* =======================
+  Hotspot Configuration
+======================= */
+// Hotspots are keyed by the name of the GLB node they annotate:
+//
+//   {
+//     "Screen_Left": {
+//       "label": "Trading Terminal",
+//       "description": "Live prices across 17,000 markets.",
+//       "media": "/media/terminal.mp4",
+//       "link": "https://example.com/platform",
+//       "flyTo": true
+//     }
+//   }
+//
+// `media` is a URL or a list of URLs (images or videos). `flyTo` (default
+// true) moves the camera to frame the node when its marker is clicked.
+
+const VIDEO_EXTENSIONS = /\.(mp4|webm|ogg|mov)(\?|#|$)/i;
+
+export const isVideoUrl = (url) => VIDEO_EXTENSIONS.test(url);
+
+// Links open from inside the host page, so only web and mail links are kept:
+// a "javascript:" or "data:" URL would run there
+const LINK_PROTOCOLS = ["http:", "https:", "mailto:"];
+
+function safeLink(link, name) {
+  if (!link) return null;
+  try {
+    const { protocol } = new URL(link, document.baseURI);
+    if (LINK_PROTOCOLS.includes(protocol)) return link;
+  } catch {
+    // Not a URL at all
+  }
+  console.warn(
+    `[LandmarkMarketsBooth] Hotspots: ignoring link ${JSON.stringify(link)} of "${name}" (only http(s), mailto and relative links are allowed)`
+  );
+  return null;
+}
+
+// GLTFLoader renames nodes the way animation bindings expect, so "Screen
+// Left" in the authoring tool becomes "Screen_Left" in three.js
+export function findNode(scene, name) {
+  return (
+    scene.getObjectByName(name) ||
+    scene.getObjectByName(PropertyBinding.sanitizeNodeName(name))
+  );
+}
+
+// Pairs each configured hotspot with its node in the loaded model. Hotspots
+// whose node doesn't exist are reported and left out.
+export function resolveHotspots(config, scene) {
+  if (!config || !scene) return [];
+
+  return Object.entries(config).flatMap(([name, hotspot]) => {
+    const node = findNode(scene, name);
+    if (!node) {
+      console.warn(
+        `[LandmarkMarketsBooth] Hotspots: no node named "${name}" in the model`
+      );
+      return [];
+    }
+
+    const media = hotspot.media ?? [];
+    return [
+      {
+        id: name,
+        node,
+        label: hotspot.label || name,
+        description: hotspot.description || "",
+        media: Array.isArray(media) ? media : [media],
+        link: safeLink(hotspot.link, name),
+        linkLabel: hotspot.linkLabel || "Learn more",
+        flyTo: hotspot.flyTo !== false,
+      },
+    ];
+  });
+}
@@ -0,0 +1,157 @@
+import * as THREE from "three";
+import { easings } from "./easings";
+import { fitDistance } from "./framing";
+
+/* =======================
+  360° Intro
+======================= */
+// The orbit the booth opens with, then a move to the end pose where the
+// first scene picks up. The return after the last scene leads back to the
+// same end pose.
+export const DEFAULT_INTRO = {
+  play: "always", // "always", "firstVisit" (once per browser) or "never"
+  radius: 8, // orbit radius, or "auto" to fit the model
+  height: 3, // camera height, or "auto" to fit the model
+  target: [0, 1, 0], // point the orbit looks at, or "auto" for the model's center
+  duration: 10, // seconds of orbiting
+  turns: 1,
+  direction: "counterclockwise", // seen from above
+  fov: 50,
+  handoffDuration: 2, // seconds from the orbit to the end pose
+  end: { position: [15, 8, 15], lookAt: [0, 0, 0], fov: 70 },
+};
+
+// Camera elevation of an auto-fitted orbit, in degrees above the target
+const AUTO_ELEVATION = 20;
+
+const toVector = (value) =>
+  Array.isArray(value) ? new THREE.Vector3(...value) : value;
+
+// Merges the `intro` prop over the defaults; `false` keeps the intro off
+export function resolveIntro(config) {
+  const settings = {
+    ...DEFAULT_INTRO,
+    ...(config === true ? {} : config === false ? { play: "never" } : config),
+  };
+  const end = { ...DEFAULT_INTRO.end, ...settings.end };
+
+  return {
+    ...settings,
+    target: toVector(settings.target),
+    end: {
+      position: toVector(end.position),
+      lookAt: toVector(end.lookAt),
+      fov: end.fov,
+    },
+  };
+}
+
+// Radius, height and target of the orbit. "auto" values frame `box` (the
+// model's world bounding box, or null before it has loaded) at the intro's
+// FOV from a slightly raised angle.
+export function introOrbit(intro, box, aspect) {
+  const fallback = resolveIntro(true);
+  const fits = box && !box.isEmpty();
+  const center = fits ? box.getCenter(new THREE.Vector3()) : null;
+  const target =
+    intro.target === "auto" ? center || fallback.target : intro.target;
+
+  let distance = 0;
+  if (fits) {
+    const { radius } = box.getBoundingSphere(new THREE.Sphere());
+    distance = fitDistance(radius, intro.fov, aspect);
+  }
+  const elevation = THREE.MathUtils.degToRad(AUTO_ELEVATION);
+
+  return {
+    target,
+    radius:
+      intro.radius !== "auto"
+        ? intro.radius
+        : fits
+          ? distance * Math.cos(elevation)
+          : fallback.radius,
+    height:
+      intro.height !== "auto"
+        ? intro.height
+        : fits
+          ? target.y + distance * Math.sin(elevation)
+          : fallback.height,
+  };
+}
+
+// Camera pose `elapsed` seconds into the intro: on the orbit, then on the
+// way from where the orbit ends to the end pose
+export function introPose(intro, orbit, elapsed) {
+  const orbitPosition = (progress) => {
+    const turn = intro.direction === "clockwise" ? -1 : 1;
+    const angle = turn * progress * intro.turns * Math.PI * 2;
+    return new THREE.Vector3(
+      orbit.target.x + Math.sin(angle) * orbit.radius,
+      orbit.height,
+      orbit.target.z + Math.cos(angle) * orbit.radius
+    );
+  };
+
+  if (elapsed < intro.duration) {
+    return {
+      position: orbitPosition(Math.max(elapsed, 0) / intro.duration),
+      lookAt: orbit.target.clone(),
+      fov: intro.fov,
+    };
+  }
+
+  const { end } = intro;
+  const handoff =
+    intro.handoffDuration > 0
+      ? Math.min((elapsed - intro.duration) / intro.handoffDuration, 1)
+      : 1;
+  const ease = easings.easeInOutCubic(handoff);
+  return {
+    position: new THREE.Vector3().lerpVectors(
+      orbitPosition(1),
+      end.position,
+      ease
+    ),
+    lookAt: new THREE.Vector3().lerpVectors(orbit.target, end.lookAt, ease),
+    fov: THREE.MathUtils.lerp(intro.fov, end.fov, ease),
+  };
+}
+
+// Initial camera for a booth that skips the intro: already at the end pose
+export function introEndCamera(intro) {
+  const { position, lookAt, fov } = intro.end;
+  const rotation = new THREE.Euler().setFromRotationMatrix(
+    new THREE.Matrix4().lookAt(position, lookAt, THREE.Object3D.DEFAULT_UP)
+  );
+  return { position: position.toArray(), rotation: rotation.toArray(), fov };
+}
+
+/* =======================
+  First Visit
+======================= */
+const SEEN_KEY = "landmarkMarketsBooth:introSeen";
+
+// Storage can be unavailable, e.g. in sandboxed iframes; the intro then
+// counts as unseen
+export function hasSeenIntro() {
+  try {
+    return window.localStorage.getItem(SEEN_KEY) === "1";
+  } catch {
+    return false;
+  }
+}
+
+export function markIntroSeen() {
+  try {
+    window.localStorage.setItem(SEEN_KEY, "1");
+  } catch {
+    // Nothing to remember it in
+  }
+}
+
+// Whether the intro plays when the booth loads
+export function shouldPlayIntro(intro) {
+  if (intro.play === "never") return false;
+  return intro.play !== "firstVisit" || !hasSeenIntro();
+}
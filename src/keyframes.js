@@ -0,0 +1,53 @@
+import { isStepEasing } from "./easings";
+
+/* =======================
+  Keyframe Sampling
+======================= */
+// Finds the pair of keyframes around `progress` (0-1 of the last keyframe's
+// time) and how far between them it is. Each keyframe's `easing` shapes the
+// way to the next keyframe; keyframes without one use `fallback`.
+export function sampleKeyframes(keyframes, progress, fallback) {
+  const currentTime = progress * keyframes[keyframes.length - 1].time;
+
+  let index = -1;
+  for (let i = 0; i < keyframes.length - 1; i++) {
+    if (
+      currentTime >= keyframes[i].time &&
+      currentTime <= keyframes[i + 1].time
+    ) {
+      index = i;
+      break;
+    }
+  }
+
+  // Before the first keyframe, or a scene with only one
+  if (index === -1) {
+    return { index: 0, start: keyframes[0], end: keyframes[0], ease: 0 };
+  }
+
+  const start = keyframes[index];
+  const end = keyframes[index + 1];
+  const frameProgress =
+    end.time === start.time
+      ? 0
+      : (currentTime - start.time) / (end.time - start.time);
+
+  return {
+    index,
+    start,
+    end,
+    ease: (start.easing ?? fallback)(frameProgress),
+  };
+}
+
+// Whether arriving at keyframe `index` is a cut: the way there was held (by
+// the keyframe's easing or, without one, by `fallback`), or it shares its
+// time with the keyframe before it. Smoothing snaps on cuts.
+export function isCutAt(keyframes, index, fallback) {
+  const previous = keyframes[index - 1];
+  return (
+    previous !== undefined &&
+    (isStepEasing(previous.easing ?? fallback) ||
+      previous.time === keyframes[index].time)
+  );
+}
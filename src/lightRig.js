@@ -0,0 +1,205 @@
+import * as THREE from "three";
+import { RectAreaLightUniformsLib } from "three/examples/jsm/lights/RectAreaLightUniformsLib.js";
+
+/* =======================
+  Light Rig
+======================= */
+// The lights a scene definition animates, by name. Light keyframes key their
+// values by these names; a definition without `lights` uses this rig, which
+// the original ambient/directional1/directional2/spotlight keyframes match.
+export const DEFAULT_LIGHT_RIG = [
+  { name: "ambient", type: "ambient", intensity: 0.5 },
+  {
+    name: "directional1",
+    type: "directional",
+    intensity: 1,
+    position: [5, 10, 5],
+    castShadow: true,
+  },
+  {
+    name: "directional2",
+    type: "directional",
+    intensity: 0.3,
+    position: [-5, 5, -5],
+  },
+  {
+    name: "spotlight",
+    type: "spot",
+    intensity: 0,
+    position: [0, 8, 3],
+    target: [0, 0, 0],
+    angle: 0.5,
+    penumbra: 0.8,
+    castShadow: true,
+  },
+];
+
+const SHADOW_PROPS = [
+  "castShadow",
+  "shadowBias",
+  "shadowNormalBias",
+  "shadowRadius",
+];
+
+// Light type -> the three.js element and the properties it takes. Positions
+// come before targets, so rect-area lights aim from where they are.
+export const LIGHT_TYPES = {
+  ambient: { element: "ambientLight", props: ["color", "intensity"] },
+  hemisphere: {
+    element: "hemisphereLight",
+    props: ["color", "groundColor", "intensity", "position"],
+  },
+  directional: {
+    element: "directionalLight",
+    props: ["color", "intensity", "position", "target", ...SHADOW_PROPS],
+  },
+  point: {
+    element: "pointLight",
+    props: [
+      "color",
+      "intensity",
+      "position",
+      "distance",
+      "decay",
+      ...SHADOW_PROPS,
+    ],
+  },
+  spot: {
+    element: "spotLight",
+    props: [
+      "color",
+      "intensity",
+      "position",
+      "target",
+      "angle",
+      "penumbra",
+      "distance",
+      "decay",
+      ...SHADOW_PROPS,
+    ],
+  },
+  rectArea: {
+    element: "rectAreaLight",
+    props: ["color", "intensity", "position", "target", "width", "height"],
+  },
+};
+
+// Property -> kind of value and the value used when a light doesn't set it
+export const LIGHT_PROPS = {
+  color: { kind: "color", default: "#ffffff" },
+  groundColor: { kind: "color", default: "#444444" },
+  intensity: { kind: "number", min: 0, default: 1 },
+  position: { kind: "vector", default: [0, 1, 0] },
+  target: { kind: "vector", default: [0, 0, 0] },
+  angle: { kind: "number", above: 0, max: Math.PI / 2, default: Math.PI / 3 },
+  penumbra: { kind: "number", min: 0, max: 1, default: 0 },
+  distance: { kind: "number", min: 0, default: 0 },
+  decay: { kind: "number", min: 0, default: 2 },
+  width: { kind: "number", min: 0, default: 10 },
+  height: { kind: "number", min: 0, default: 10 },
+  castShadow: { kind: "boolean", default: false },
+  shadowBias: { kind: "number", default: 0 },
+  shadowNormalBias: { kind: "number", default: 0 },
+  shadowRadius: { kind: "number", min: 0, default: 1 },
+};
+
+// Turns a JSON value into what the light takes
+export function toLightValue(prop, value) {
+  switch (LIGHT_PROPS[prop].kind) {
+    case "color":
+      return new THREE.Color(value);
+    case "vector":
+      return new THREE.Vector3(...value);
+    default:
+      return value;
+  }
+}
+
+/* =======================
+  Light Animation
+======================= */
+// Value `ease` of the way from `from` to `to`. Colors blend in linear RGB
+// and are returned as vectors, so they can be smoothed like positions.
+// Switches flip once the next keyframe is reached.
+export function blendLightValue(prop, from, to, ease) {
+  switch (LIGHT_PROPS[prop].kind) {
+    case "color":
+      return new THREE.Vector3(
+        THREE.MathUtils.lerp(from.r, to.r, ease),
+        THREE.MathUtils.lerp(from.g, to.g, ease),
+        THREE.MathUtils.lerp(from.b, to.b, ease)
+      );
+    case "vector":
+      return new THREE.Vector3().lerpVectors(from, to, ease);
+    case "boolean":
+      return ease < 1 ? from : to;
+    default:
+      return THREE.MathUtils.lerp(from, to, ease);
+  }
+}
+
+// Current value of `prop` on a light, in blendLightValue's form
+export function readLightValue(light, prop) {
+  switch (prop) {
+    case "color":
+    case "groundColor":
+      return new THREE.Vector3(light[prop].r, light[prop].g, light[prop].b);
+    case "position":
+      return light.position.clone();
+    case "target":
+      return light.target
+        ? light.target.position.clone()
+        : light.getWorldDirection(new THREE.Vector3()).add(light.position);
+    case "shadowBias":
+      return light.shadow.bias;
+    case "shadowNormalBias":
+      return light.shadow.normalBias;
+    case "shadowRadius":
+      return light.shadow.radius;
+    default:
+      return light[prop];
+  }
+}
+
+// Sets `prop` on a light. `shadows` is whether the quality level allows
+// shadows at all.
+export function applyLightValue(light, prop, value, shadows) {
+  switch (prop) {
+    case "color":
+    case "groundColor":
+      light[prop].setRGB(value.x, value.y, value.z);
+      break;
+    case "position":
+      light.position.copy(value);
+      break;
+    case "target":
+      // Rect-area lights have no target object; they face it instead
+      if (light.target) light.target.position.copy(value);
+      else light.lookAt(value);
+      break;
+    case "castShadow":
+      light.castShadow = value && shadows;
+      break;
+    case "shadowBias":
+      light.shadow.bias = value;
+      break;
+    case "shadowNormalBias":
+      light.shadow.normalBias = value;
+      break;
+    case "shadowRadius":
+      light.shadow.radius = value;
+      break;
+    default:
+      light[prop] = value;
+  }
+}
+
+// Standard materials only respond to rect-area lights once their lookup
+// tables are set up
+let rectAreaReady = false;
+
+export function prepareRectAreaLights() {
+  if (rectAreaReady) return;
+  RectAreaLightUniformsLib.init();
+  rectAreaReady = true;
+}
@@ -0,0 +1,128 @@
+import { DRACOLoader } from "three/examples/jsm/loaders/DRACOLoader.js";
+import { KTX2Loader } from "three/examples/jsm/loaders/KTX2Loader.js";
+import { MeshoptDecoder } from "three/examples/jsm/libs/meshopt_decoder.module.js";
+
+/* =======================
+  Compressed Model Decoders
+======================= */
+// Draco geometry and KTX2/Basis textures are decoded by files served from
+// `decoderPath` (copied there by `npm run decoders`), never from a CDN, so
+// the booth works offline. The Meshopt decoder is bundled with the app.
+
+// Decoder loaders spawn web workers; share them between loads
+const decoders = new Map();
+
+function getDecoders(decoderPath, renderer) {
+  let entry = decoders.get(decoderPath);
+  if (!entry) {
+    const draco = new DRACOLoader().setDecoderPath(`${decoderPath}draco/`);
+    const ktx2 = new KTX2Loader().setTranscoderPath(`${decoderPath}basis/`);
+    entry = { draco, ktx2, renderer: null };
+    decoders.set(decoderPath, entry);
+  }
+  // KTX2 picks a GPU texture format the renderer supports
+  if (entry.renderer !== renderer) {
+    entry.ktx2.detectSupport(renderer);
+    entry.renderer = renderer;
+  }
+  return entry;
+}
+
+// Loader extension for useLoader(GLTFLoader, ...)
+export const compressedModelSupport = (decoderPath, renderer) => (loader) => {
+  const { draco, ktx2 } = getDecoders(decoderPath, renderer);
+  loader.setDRACOLoader(draco);
+  loader.setKTX2Loader(ktx2);
+  loader.setMeshoptDecoder(MeshoptDecoder);
+};
+
+/* =======================
+  Model Variants
+======================= */
+export const DEVICE_TIERS = ["low", "medium", "high"];
+
+// Rough guess at how much model the device can handle. Browsers that don't
+// report memory or cores are treated as capable.
+export function detectDeviceTier() {
+  if (typeof navigator === "undefined") return "high";
+
+  const { deviceMemory, hardwareConcurrency, connection } = navigator;
+  const mobile =
+    typeof window !== "undefined" &&
+    window.matchMedia?.("(pointer: coarse)").matches;
+
+  if (
+    connection?.saveData ||
+    /(^|-)2g$/.test(connection?.effectiveType || "") ||
+    deviceMemory <= 2 ||
+    hardwareConcurrency <= 2
+  ) {
+    return "low";
+  }
+  if (mobile || deviceMemory <= 4 || hardwareConcurrency <= 4) {
+    return "medium";
+  }
+  return "high";
+}
+
+// Picks the file for `tier` from `{ low, medium, high }`. A missing tier
+// falls back to the next heavier variant, and finally to `fallback` (the
+// full modelPath), so a device never gets less detail than it can handle.
+export function pickModelVariant(variants, tier, fallback) {
+  if (!variants) return fallback;
+
+  const match = DEVICE_TIERS.slice(DEVICE_TIERS.indexOf(tier)).find(
+    (candidate) => variants[candidate]
+  );
+  return match ? variants[match] : fallback;
+}
+
+/* =======================
+  Model Loading Errors
+======================= */
+// Turns a GLB loading failure into a message a booth visitor (or the person
+// setting the booth up) can act on. Loader errors arrive wrapped as
+// "Could not load <url>: <reason>", so they are matched on their text.
+export function describeModelError(error, url) {
+  const message = error?.message || String(error);
+  const status = message.match(/responded with (\d{3})/)?.[1];
+
+  if (status === "404") {
+    return {
+      title: "Model not found",
+      detail: `There is no model at ${url}. Check the modelPath and that the file was deployed.`,
+    };
+  }
+  if (status) {
+    return {
+      title: "Model could not be downloaded",
+      detail: `The server answered ${status} for ${url}. Try again in a moment.`,
+    };
+  }
+  if (/Failed to fetch|NetworkError|Load failed/i.test(message)) {
+    return {
+      title: "Connection problem",
+      detail: `${url} could not be reached. Check your connection and try again.`,
+    };
+  }
+  if (/DRACO|Meshopt|KTX2/i.test(message)) {
+    return {
+      title: "Compressed model not supported",
+      detail: `${url} uses compression this booth isn't set up to decode.`,
+    };
+  }
+  if (/JSON|Unexpected token|glTF|GLTFLoader/i.test(message)) {
+    return {
+      title: "Invalid model file",
+      detail: `${url} is not a valid GLB or glTF model. If the path is wrong, the server may have sent a web page instead.`,
+    };
+  }
+  return {
+    title: "The booth could not be loaded",
+    detail: message,
+  };
+}
+
+// "12.4 MB"
+export const formatMegabytes = (bytes) =>
+  `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
@@ -0,0 +1,58 @@
+/* =======================
+  Scene Playlist
+======================= */
+// Unattended "attract mode" for exhibition floors: the intro and the scenes
+// play on their own, in order or shuffled, with optional holds in between.
+export const DEFAULT_PLAYLIST = {
+  autoplay: true, // start attract mode on load
+  loop: true, // start over after the return to the 360 end pose
+  intro: true, // replay the 360 intro on every loop
+  order: "sequential", // "sequential", "shuffle" or a list of scene names/indices
+  hold: 0, // seconds on the last frame before moving on, or { [scene]: seconds, default }
+  idleTimeout: 60, // seconds without interaction before attract mode resumes (0: never)
+};
+
+// Returns a shuffled copy; never starts with `avoidFirst`, so a loop doesn't
+// play the same scene twice in a row
+function shuffle(items, avoidFirst) {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  if (result.length > 1 && result[0] === avoidFirst) {
+    [result[0], result[1]] = [result[1], result[0]];
+  }
+  return result;
+}
+
+// Turns the `order` option into a list of scene indices. `previous` is the
+// last scene of the previous loop.
+export function buildPlaylistOrder(order, scenes, previous = null) {
+  const all = scenes.map((_, index) => index);
+
+  if (order === "shuffle") return shuffle(all, previous);
+  if (!Array.isArray(order)) return all;
+
+  return order.flatMap((entry) => {
+    const index =
+      typeof entry === "number"
+        ? entry
+        : scenes.findIndex((scene) => scene.name === entry);
+    if (!scenes[index]) {
+      console.warn(
+        `[LandmarkMarketsBooth] Playlist: no scene ${JSON.stringify(entry)}`
+      );
+      return [];
+    }
+    return [index];
+  });
+}
+
+// Seconds to hold on the last frame of `scene` (null for the intro and the
+// return) before playing on
+export function holdAfter(hold, scene) {
+  if (typeof hold === "number") return hold;
+  if (!hold) return 0;
+  return (scene && hold[scene.name]) ?? hold.default ?? 0;
+}
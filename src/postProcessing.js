@@ -0,0 +1,197 @@
+import * as THREE from "three";
+import { ToneMappingMode } from "postprocessing";
+import { QUALITY_PRESETS } from "./quality";
+
+/* =======================
+  Post-Processing
+======================= */
+// Effect settings of the `postProcessing` prop. An effect set to false is
+// left out, unless a scene's effect keyframes animate it.
+export const DEFAULT_POST_PROCESSING = {
+  // Picks out the emissive signage and screens
+  bloom: { intensity: 0.6, threshold: 0.85, smoothing: 0.2 },
+  // `focus` is "lookAt" (the camera's look-at point) or an [x, y, z] point;
+  // `range` is the depth in world units that stays sharp
+  depthOfField: false,
+  vignette: { offset: 0.3, darkness: 0.55 },
+  toneMapping: "aces",
+  exposure: 1,
+  // A .cube or .3dl color grading table
+  lut: false,
+  grain: false,
+};
+
+// What an effect animates from when the prop leaves it out
+export const DEFAULT_EFFECT_VALUES = {
+  bloom: DEFAULT_POST_PROCESSING.bloom,
+  depthOfField: { focus: "lookAt", range: 2, bokehScale: 3 },
+  vignette: DEFAULT_POST_PROCESSING.vignette,
+  lut: { intensity: 1 },
+  grain: { opacity: 0.05 },
+};
+
+// Effect -> keyframable setting -> its range. `focus` takes "lookAt" or a
+// point instead of a number.
+export const EFFECT_PROPS = {
+  bloom: {
+    intensity: { min: 0 },
+    threshold: { min: 0, max: 1 },
+    smoothing: { min: 0, max: 1 },
+  },
+  depthOfField: {
+    focus: { kind: "focus" },
+    range: { above: 0 },
+    bokehScale: { min: 0 },
+  },
+  vignette: { offset: { min: 0 }, darkness: { min: 0 } },
+  lut: { intensity: { min: 0, max: 1 } },
+  grain: { opacity: { min: 0, max: 1 } },
+};
+
+export const TONE_MAPPING_MODES = {
+  linear: ToneMappingMode.LINEAR,
+  reinhard: ToneMappingMode.REINHARD,
+  cineon: ToneMappingMode.CINEON,
+  aces: ToneMappingMode.ACES_FILMIC,
+  agx: ToneMappingMode.AGX,
+  neutral: ToneMappingMode.NEUTRAL,
+};
+
+// Merges the prop over the defaults and drops what the quality level can't
+// afford. Returns null when post-processing is off.
+export function resolvePostProcessing(config, level) {
+  const quality = QUALITY_PRESETS[level].postProcessing;
+  if (!config || !quality) return null;
+
+  const settings = {
+    ...DEFAULT_POST_PROCESSING,
+    ...(config === true ? {} : config),
+  };
+  const effects = {};
+  Object.keys(EFFECT_PROPS).forEach((effect) => {
+    const value = settings[effect];
+    effects[effect] =
+      value && !quality.skip.includes(effect)
+        ? { ...DEFAULT_EFFECT_VALUES[effect], ...(value === true ? {} : value) }
+        : false;
+  });
+  const focus = effects.depthOfField?.focus;
+  if (Array.isArray(focus)) {
+    effects.depthOfField.focus = new THREE.Vector3(...focus);
+  }
+
+  return {
+    multisampling: quality.multisampling,
+    skip: quality.skip,
+    toneMapping:
+      TONE_MAPPING_MODES[settings.toneMapping] ?? ToneMappingMode.ACES_FILMIC,
+    exposure: settings.exposure,
+    lutUrl: effects.lut ? effects.lut.url : null,
+    effects,
+  };
+}
+
+// Effects that end up on screen: those the prop enables, and those the
+// scene's keyframes animate if the quality level allows them
+export function activeEffects(settings, keyframes) {
+  const active = new Set(
+    Object.keys(settings.effects).filter((effect) => settings.effects[effect])
+  );
+  keyframes?.forEach((keyframe) =>
+    Object.keys(keyframe.effects).forEach((effect) => {
+      if (!settings.skip.includes(effect)) active.add(effect);
+    })
+  );
+  // Color grading needs a table to grade with
+  if (!settings.lutUrl) active.delete("lut");
+  return active;
+}
+
+/* =======================
+  Effect Animation
+======================= */
+const NO_KEYFRAMES = [{ time: 0, effects: {} }];
+
+// Gives every keyframe a complete set of effect values, carrying forward
+// whatever a keyframe leaves out from the one before (or the prop). Scenes
+// without effect keyframes get a single keyframe holding the prop's values.
+export function completeEffectKeyframes(settings, keyframes = NO_KEYFRAMES) {
+  let previous = { exposure: settings.exposure };
+  Object.keys(EFFECT_PROPS).forEach((effect) => {
+    previous[effect] =
+      settings.effects[effect] || DEFAULT_EFFECT_VALUES[effect];
+  });
+
+  return keyframes.map((keyframe) => {
+    const values = { exposure: keyframe.exposure ?? previous.exposure };
+    Object.keys(EFFECT_PROPS).forEach((effect) => {
+      values[effect] = { ...previous[effect], ...keyframe.effects[effect] };
+    });
+    previous = values;
+    return { time: keyframe.time, easing: keyframe.easing, values };
+  });
+}
+
+const focusPoint = (focus, lookAt) => (focus === "lookAt" ? lookAt : focus);
+
+// Values `ease` of the way between two completed keyframes
+export function blendEffectValues(from, to, ease, lookAt) {
+  const lerp = (a, b) => THREE.MathUtils.lerp(a, b, ease);
+  const values = { exposure: lerp(from.exposure, to.exposure) };
+
+  Object.entries(EFFECT_PROPS).forEach(([effect, props]) => {
+    values[effect] = {};
+    Object.keys(props).forEach((prop) => {
+      const a = from[effect][prop];
+      const b = to[effect][prop];
+      values[effect][prop] =
+        prop === "focus"
+          ? new THREE.Vector3().lerpVectors(
+              focusPoint(a, lookAt),
+              focusPoint(b, lookAt),
+              ease
+            )
+          : lerp(a, b);
+    });
+  });
+  return values;
+}
+
+// Sets blended values on the mounted effects. `effects` maps effect names to
+// the postprocessing effect objects; unmounted ones are skipped.
+export function applyEffectValues(effects, values, gl) {
+  const { bloom, depthOfField, vignette, lut, grain } = effects;
+  if (bloom) {
+    bloom.intensity = values.bloom.intensity;
+    bloom.luminanceMaterial.threshold = values.bloom.threshold;
+    bloom.luminanceMaterial.smoothing = values.bloom.smoothing;
+  }
+  if (depthOfField) {
+    depthOfField.target.copy(values.depthOfField.focus);
+    depthOfField.cocMaterial.focusRange = values.depthOfField.range;
+    depthOfField.bokehScale = values.depthOfField.bokehScale;
+  }
+  if (vignette) {
+    vignette.offset = values.vignette.offset;
+    vignette.darkness = values.vignette.darkness;
+  }
+  if (lut) lut.blendMode.opacity.value = values.lut.intensity;
+  if (grain) grain.blendMode.opacity.value = values.grain.opacity;
+  setExposure(gl, values.exposure);
+}
+
+// Lays the depth of field sampled from a scene's focus track (the focus its
+// rack focus shots pull) over the effect values. Only the settings that
+// `keyframe`, the track keyframe being left, sets are taken from the track.
+export function overlayFocusValues(values, focusValues, keyframe) {
+  Object.keys(keyframe.effects.depthOfField ?? {}).forEach((prop) => {
+    values.depthOfField[prop] = focusValues.depthOfField[prop];
+  });
+  return values;
+}
+
+// The renderer's exposure scales the tone mapping, with or without the
+// effect stack
+export function setExposure(gl, exposure) {
+  gl.toneMappingExposure = exposure;
+}
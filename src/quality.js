@@ -0,0 +1,73 @@
+import { createContext, useContext } from "react";
+import * as THREE from "three";
+
+/* =======================
+  Rendering Quality
+======================= */
+// What each preset of the `quality` prop renders with. `dpr` is a
+// [min, max] device pixel ratio range; the fixed presets clamp the screen's
+// ratio to it, "auto" moves through it. `postProcessing` is false when the
+// effect stack is skipped, otherwise its antialiasing samples and the effects
+// too costly for the level.
+export const QUALITY_PRESETS = {
+  low: {
+    dpr: [0.75, 1],
+    shadows: false,
+    shadowMapSize: 512,
+    environmentResolution: 64,
+    postProcessing: false,
+  },
+  medium: {
+    dpr: [1, 1.5],
+    shadows: true,
+    shadowMapSize: 1024,
+    environmentResolution: 128,
+    postProcessing: { multisampling: 0, skip: ["depthOfField", "grain"] },
+  },
+  high: {
+    dpr: [1, 2],
+    shadows: true,
+    shadowMapSize: 2048,
+    environmentResolution: 256,
+    postProcessing: { multisampling: 4, skip: [] },
+  },
+};
+
+const QUALITY_LEVELS = ["low", "medium", "high"];
+
+// Where "auto" starts for each device tier, on the 0-1 scale below
+export const AUTO_QUALITY_START = { low: 0.2, medium: 0.5, high: 0.85 };
+
+// "auto" spreads the three presets over one 0-1 scale, driven by the
+// measured frame rate: the lower third is "low", the upper third "high",
+// and the position within a third picks the pixel ratio inside its range.
+export function resolveQuality(quality, factor) {
+  if (quality !== "auto") {
+    const level = QUALITY_PRESETS[quality] ? quality : "high";
+    return { level, ...QUALITY_PRESETS[level] };
+  }
+
+  const scaled = THREE.MathUtils.clamp(factor, 0, 1) * QUALITY_LEVELS.length;
+  const index = Math.min(Math.floor(scaled), QUALITY_LEVELS.length - 1);
+  const level = QUALITY_LEVELS[index];
+  const [minDpr, maxDpr] = QUALITY_PRESETS[level].dpr;
+  const dpr = THREE.MathUtils.lerp(minDpr, maxDpr, scaled - index);
+
+  return {
+    level,
+    ...QUALITY_PRESETS[level],
+    // Rounded so small factor changes don't resize the canvas
+    dpr: Math.round(dpr * 4) / 4,
+  };
+}
+
+export const QualityContext = createContext(resolveQuality("high"));
+
+// Shadow props for lights that cast shadows when quality allows it
+export function useShadowProps() {
+  const { shadows, shadowMapSize } = useContext(QualityContext);
+  return {
+    castShadow: shadows,
+    "shadow-mapSize": [shadowMapSize, shadowMapSize],
+  };
+}
@@ -0,0 +1,898 @@
+import { useEffect, useState } from "react";
+import * as THREE from "three";
+import { easings, isBezierHandles, resolveEasing } from "./easings";
+import { SPLINE_PATH_TYPES, createCameraPath } from "./cameraPath";
+import {
+  DEFAULT_LIGHT_RIG,
+  LIGHT_TYPES,
+  LIGHT_PROPS,
+  toLightValue,
+} from "./lightRig";
+import { EFFECT_PROPS } from "./postProcessing";
+import {
+  TRANSITION_TYPES,
+  WIPE_DIRECTIONS,
+  parseTransition,
+} from "./transitions";
+import { resolveAnchor, resolveFitPosition } from "./framing";
+import { findNode } from "./hotspots";
+import { SHOT_KEYS, SHOT_TYPES, expandShots } from "./shots";
+
+/* =======================
+  Scene Definition Format
+======================= */
+// Plain-JSON description of the cinematic scenes, documented by
+// scenes/scene.schema.json. Vectors are [x, y, z] arrays and are turned into
+// THREE.Vector3 instances by parseScenes(). Camera keyframe points may
+// instead be placed relative to the model; placeScene() resolves those once
+// the model is on screen.
+
+const SCENE_KEYS = [
+  "name",
+  "duration",
+  "animation",
+  "easing",
+  "path",
+  "transition",
+  "cameraKeyframes",
+  "shots",
+  "lightKeyframes",
+  "effectKeyframes",
+];
+const CAMERA_KEYFRAME_KEYS = ["time", "position", "lookAt", "fov", "easing"];
+const ANCHOR_KEYS = ["node", "box", "offset"];
+const FIT_KEYS = ["fit", "direction", "margin"];
+const NODE_PREFIX = "node:";
+const LIGHT_KEYS = ["name", "type", ...Object.keys(LIGHT_PROPS)];
+const TRANSITION_KEYS = ["type", "duration", "color", "direction", "strength"];
+const EFFECT_KEYFRAME_KEYS = [
+  "time",
+  "easing",
+  "exposure",
+  ...Object.keys(EFFECT_PROPS),
+];
+
+export class SceneValidationError extends Error {
+  constructor(errors) {
+    super(`Invalid scene definition:\n  ${errors.join("\n  ")}`);
+    this.name = "SceneValidationError";
+    this.errors = errors;
+  }
+}
+
+/* =======================
+  Validation Helpers
+======================= */
+const isObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+function checkKeys(value, allowed, path, errors) {
+  Object.keys(value).forEach((key) => {
+    if (!allowed.includes(key)) {
+      errors.push(`${path}.${key}: unknown property`);
+    }
+  });
+}
+
+function checkNumber(value, path, errors, { min, max, above } = {}) {
+  if (value === undefined) {
+    errors.push(`${path}: missing number`);
+  } else if (typeof value !== "number" || !Number.isFinite(value)) {
+    errors.push(`${path}: expected a number, got ${JSON.stringify(value)}`);
+  } else if (min !== undefined && value < min) {
+    errors.push(`${path}: must be >= ${min}, got ${value}`);
+  } else if (above !== undefined && value <= above) {
+    errors.push(`${path}: must be > ${above}, got ${value}`);
+  } else if (max !== undefined && value > max) {
+    errors.push(`${path}: must be <= ${max}, got ${value}`);
+  }
+}
+
+function checkVector(value, path, errors) {
+  if (value === undefined) {
+    errors.push(`${path}: missing [x, y, z] vector`);
+  } else if (
+    !Array.isArray(value) ||
+    value.length !== 3 ||
+    !value.every((n) => typeof n === "number" && Number.isFinite(n))
+  ) {
+    errors.push(
+      `${path}: expected an [x, y, z] vector, got ${JSON.stringify(value)}`
+    );
+  }
+}
+
+// CSS color strings as three.js understands them: hex, rgb(), hsl() or a
+// color name
+function checkColor(value, path, errors) {
+  const valid =
+    typeof value === "string" &&
+    (/^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(value) ||
+      /^(rgb|hsl)a?\(/i.test(value) ||
+      Object.hasOwn(THREE.Color.NAMES, value.toLowerCase()));
+  if (!valid) {
+    errors.push(
+      `${path}: expected a CSS color such as "#ffcc88", got ${JSON.stringify(value)}`
+    );
+  }
+}
+
+function checkLightValue(prop, value, path, errors) {
+  const { kind, ...range } = LIGHT_PROPS[prop];
+  if (kind === "color") {
+    checkColor(value, path, errors);
+  } else if (kind === "vector") {
+    checkVector(value, path, errors);
+  } else if (kind === "boolean") {
+    if (typeof value !== "boolean") {
+      errors.push(
+        `${path}: expected true or false, got ${JSON.stringify(value)}`
+      );
+    }
+  } else {
+    checkNumber(value, path, errors, range);
+  }
+}
+
+// An easing name, or [x1, y1, x2, y2] cubic-bezier handles
+function checkEasing(value, path, errors) {
+  if (value === undefined) return;
+  if (Array.isArray(value)) {
+    if (!isBezierHandles(value)) {
+      errors.push(
+        `${path}: expected cubic-bezier handles [x1, y1, x2, y2] with x1 and x2 between 0 and 1, got ${JSON.stringify(value)}`
+      );
+    }
+  } else if (!Object.hasOwn(easings, value)) {
+    errors.push(
+      `${path}: unknown easing ${JSON.stringify(value)} (expected cubic-bezier handles or one of ${Object.keys(easings).join(", ")})`
+    );
+  }
+}
+
+// Keyframe times must start at 0 or later and never go backwards
+function checkKeyframeTimes(keyframes, path, errors) {
+  let previous = null;
+  keyframes.forEach((keyframe, i) => {
+    if (!isObject(keyframe)) return;
+    const { time } = keyframe;
+    checkNumber(time, `${path}[${i}].time`, errors, { min: 0 });
+    if (typeof time !== "number") return;
+    if (previous !== null && time < previous) {
+      errors.push(
+        `${path}[${i}].time: ${time} comes before the previous keyframe (${previous}); times must not decrease`
+      );
+    }
+    previous = time;
+  });
+}
+
+function checkKeyframeList(keyframes, path, errors) {
+  if (!Array.isArray(keyframes)) {
+    errors.push(`${path}: expected an array of keyframes`);
+    return false;
+  }
+  if (keyframes.length === 0) {
+    errors.push(`${path}: needs at least one keyframe`);
+    return false;
+  }
+  keyframes.forEach((keyframe, i) => {
+    if (!isObject(keyframe)) {
+      errors.push(`${path}[${i}]: expected an object`);
+    }
+  });
+  checkKeyframeTimes(keyframes, path, errors);
+  return true;
+}
+
+function checkDirection(value, path, errors) {
+  checkVector(value, path, errors);
+  if (Array.isArray(value) && value.every((n) => n === 0)) {
+    errors.push(`${path}: must not be [0, 0, 0]`);
+  }
+}
+
+// Node names can only be checked once the model is known
+function checkNode(name, path, errors, model) {
+  if (typeof name !== "string" || name.length === 0) {
+    errors.push(`${path}: expected a node name, got ${JSON.stringify(name)}`);
+  } else if (model && !findNode(model, name)) {
+    errors.push(`${path}: no node named "${name}" in the model`);
+  }
+}
+
+// A camera keyframe point: an [x, y, z] world position, "node:<name>" for the
+// center of a node, or an anchor `{ node, box, offset }` on the bounding box
+// of a node or the whole model. Positions can also be fitted:
+// `{ fit, direction, margin }`, where `fit` is "model" or "node:<name>".
+function checkPoint(value, path, errors, { model, fit }) {
+  if (typeof value === "string" && value.startsWith(NODE_PREFIX)) {
+    checkNode(value.slice(NODE_PREFIX.length), path, errors, model);
+    return;
+  }
+  if (!isObject(value)) {
+    checkVector(value, path, errors);
+    return;
+  }
+
+  if (value.fit !== undefined) {
+    if (!fit) {
+      errors.push(`${path}.fit: only camera positions can be fitted`);
+      return;
+    }
+    checkKeys(value, FIT_KEYS, path, errors);
+    if (typeof value.fit === "string" && value.fit.startsWith(NODE_PREFIX)) {
+      checkNode(
+        value.fit.slice(NODE_PREFIX.length),
+        `${path}.fit`,
+        errors,
+        model
+      );
+    } else if (value.fit !== "model") {
+      errors.push(
+        `${path}.fit: expected "model" or "node:<name>", got ${JSON.stringify(value.fit)}`
+      );
+    }
+    checkDirection(value.direction, `${path}.direction`, errors);
+    if (value.margin !== undefined) {
+      checkNumber(value.margin, `${path}.margin`, errors, { above: 0 });
+    }
+    return;
+  }
+
+  checkKeys(value, ANCHOR_KEYS, path, errors);
+  if (value.node !== undefined) {
+    checkNode(value.node, `${path}.node`, errors, model);
+  }
+  if (value.box !== undefined) checkVector(value.box, `${path}.box`, errors);
+  if (value.offset !== undefined) {
+    checkVector(value.offset, `${path}.offset`, errors);
+  }
+}
+
+function validateCameraKeyframes(keyframes, path, errors, model) {
+  if (!checkKeyframeList(keyframes, path, errors)) return;
+
+  keyframes.forEach((keyframe, i) => {
+    if (!isObject(keyframe)) return;
+    const at = `${path}[${i}]`;
+    checkKeys(keyframe, CAMERA_KEYFRAME_KEYS, at, errors);
+    checkPoint(keyframe.position, `${at}.position`, errors, {
+      model,
+      fit: true,
+    });
+    checkPoint(keyframe.lookAt, `${at}.lookAt`, errors, { model, fit: false });
+    if (keyframe.fov !== undefined) {
+      checkNumber(keyframe.fov, `${at}.fov`, errors, { above: 0, max: 179 });
+    }
+    checkEasing(keyframe.easing, `${at}.easing`, errors);
+  });
+}
+
+// The rig's lights, each with a unique name and the properties of its type
+function validateLightRig(lights, errors) {
+  if (!Array.isArray(lights) || lights.length === 0) {
+    errors.push("lights: expected an array of lights");
+    return;
+  }
+
+  const names = new Set();
+  lights.forEach((light, i) => {
+    const path = `lights[${i}]`;
+    if (!isObject(light)) {
+      errors.push(`${path}: expected an object`);
+      return;
+    }
+    checkKeys(light, LIGHT_KEYS, path, errors);
+
+    if (typeof light.name !== "string" || light.name.length === 0) {
+      errors.push(`${path}.name: missing light name`);
+    } else if (light.name === "time" || light.name === "easing") {
+      errors.push(`${path}.name: "${light.name}" is reserved for keyframes`);
+    } else if (names.has(light.name)) {
+      errors.push(
+        `${path}.name: another light is already named "${light.name}"`
+      );
+    } else {
+      names.add(light.name);
+    }
+
+    const type = LIGHT_TYPES[light.type];
+    if (!type) {
+      errors.push(
+        `${path}.type: unknown light type ${JSON.stringify(light.type)} (expected one of ${Object.keys(LIGHT_TYPES).join(", ")})`
+      );
+      return;
+    }
+    Object.keys(LIGHT_PROPS).forEach((prop) => {
+      if (light[prop] === undefined) return;
+      if (!type.props.includes(prop)) {
+        errors.push(`${path}.${prop}: ${light.type} lights have no ${prop}`);
+      } else {
+        checkLightValue(prop, light[prop], `${path}.${prop}`, errors);
+      }
+    });
+  });
+}
+
+// Keyframe values are keyed by light name. Lights and properties a keyframe
+// leaves out keep their value from the keyframe before.
+function validateLightKeyframes(keyframes, path, errors, rig) {
+  if (!checkKeyframeList(keyframes, path, errors)) return;
+
+  const lights = new Map(rig.map((light) => [light.name, light]));
+  keyframes.forEach((keyframe, i) => {
+    if (!isObject(keyframe)) return;
+    const at = `${path}[${i}]`;
+    checkEasing(keyframe.easing, `${at}.easing`, errors);
+
+    Object.entries(keyframe).forEach(([name, value]) => {
+      if (name === "time" || name === "easing") return;
+      const light = lights.get(name);
+      if (!light) {
+        errors.push(
+          `${at}.${name}: no light named "${name}" in the rig (available: ${[...lights.keys()].join(", ")})`
+        );
+        return;
+      }
+      if (!isObject(value)) {
+        errors.push(`${at}.${name}: expected an object of light settings`);
+        return;
+      }
+      const { props } = LIGHT_TYPES[light.type];
+      Object.entries(value).forEach(([prop, propValue]) => {
+        if (!props.includes(prop)) {
+          errors.push(
+            `${at}.${name}.${prop}: ${light.type} lights have no ${prop}`
+          );
+        } else {
+          checkLightValue(prop, propValue, `${at}.${name}.${prop}`, errors);
+        }
+      });
+    });
+  });
+}
+
+// Shots play back to back and fill the scene: the keyframes they expand
+// into are timed in seconds from its start
+function validateShots(shots, path, errors, model, sceneDuration) {
+  if (!Array.isArray(shots) || shots.length === 0) {
+    errors.push(`${path}: expected a list of shots`);
+    return;
+  }
+
+  let total = 0;
+  shots.forEach((shot, i) => {
+    const at = `${path}[${i}]`;
+    if (!isObject(shot)) {
+      errors.push(`${at}: expected an object`);
+      return;
+    }
+    const props = SHOT_TYPES[shot.type];
+    if (!props) {
+      errors.push(
+        `${at}.type: unknown shot ${JSON.stringify(shot.type)} (expected one of ${Object.keys(SHOT_TYPES).join(", ")})`
+      );
+      return;
+    }
+    checkKeys(shot, [...SHOT_KEYS, ...Object.keys(props)], at, errors);
+    checkNumber(shot.duration, `${at}.duration`, errors, { above: 0 });
+    if (typeof shot.duration === "number") total += shot.duration;
+    checkEasing(shot.easing, `${at}.easing`, errors);
+    if (shot.fov !== undefined) {
+      checkNumber(shot.fov, `${at}.fov`, errors, { above: 0, max: 179 });
+    }
+
+    Object.entries(props).forEach(([prop, spec]) => {
+      const { kind, required, default: _default, ...range } = spec;
+      const value = shot[prop];
+      if (value === undefined && !required) return;
+      if (kind === "point" || kind === "position") {
+        checkPoint(value, `${at}.${prop}`, errors, {
+          model,
+          fit: kind === "position",
+        });
+      } else if (kind === "direction") {
+        checkDirection(value, `${at}.${prop}`, errors);
+      } else {
+        checkNumber(value, `${at}.${prop}`, errors, range);
+      }
+    });
+  });
+
+  if (
+    typeof sceneDuration === "number" &&
+    Math.abs(total - sceneDuration) > 1e-6
+  ) {
+    errors.push(
+      `${path}: shots last ${total}s but the scene lasts ${sceneDuration}s; their durations must add up to the scene's`
+    );
+  }
+}
+
+// Effect settings keyed by effect, plus the exposure. Whatever a keyframe
+// leaves out keeps its value from the keyframe before, or from the
+// `postProcessing` prop.
+function validateEffectKeyframes(keyframes, path, errors, model) {
+  if (keyframes === undefined) return;
+  if (!checkKeyframeList(keyframes, path, errors)) return;
+
+  keyframes.forEach((keyframe, i) => {
+    if (!isObject(keyframe)) return;
+    const at = `${path}[${i}]`;
+    checkKeys(keyframe, EFFECT_KEYFRAME_KEYS, at, errors);
+    checkEasing(keyframe.easing, `${at}.easing`, errors);
+    if (keyframe.exposure !== undefined) {
+      checkNumber(keyframe.exposure, `${at}.exposure`, errors, { above: 0 });
+    }
+
+    Object.entries(EFFECT_PROPS).forEach(([effect, props]) => {
+      const value = keyframe[effect];
+      if (value === undefined) return;
+      if (!isObject(value)) {
+        errors.push(`${at}.${effect}: expected an object of effect settings`);
+        return;
+      }
+      checkKeys(value, Object.keys(props), `${at}.${effect}`, errors);
+      Object.entries(value).forEach(([prop, propValue]) => {
+        if (!props[prop]) return;
+        const { kind, ...range } = props[prop];
+        if (kind === "focus") {
+          if (propValue !== "lookAt") {
+            checkPoint(propValue, `${at}.${effect}.${prop}`, errors, {
+              model,
+              fit: false,
+            });
+          }
+        } else {
+          checkNumber(propValue, `${at}.${effect}.${prop}`, errors, range);
+        }
+      });
+    });
+  });
+}
+
+// A transition type, or `{ type, duration, ... }`. The transition plays over
+// the start of the scene, so it can't outlast it.
+function validateTransition(transition, path, errors, sceneDuration) {
+  if (transition === undefined) return;
+  const settings =
+    typeof transition === "string" ? { type: transition } : transition;
+  if (!isObject(settings)) {
+    errors.push(
+      `${path}: expected a transition type or object, got ${JSON.stringify(transition)}`
+    );
+    return;
+  }
+  checkKeys(settings, TRANSITION_KEYS, path, errors);
+
+  if (!TRANSITION_TYPES.includes(settings.type)) {
+    errors.push(
+      `${path}.type: unknown transition ${JSON.stringify(settings.type)} (expected one of ${TRANSITION_TYPES.join(", ")})`
+    );
+  }
+  if (settings.duration !== undefined) {
+    checkNumber(settings.duration, `${path}.duration`, errors, {
+      above: 0,
+      max: typeof sceneDuration === "number" ? sceneDuration : undefined,
+    });
+  }
+  if (settings.color !== undefined) {
+    checkColor(settings.color, `${path}.color`, errors);
+  }
+  if (
+    settings.direction !== undefined &&
+    !WIPE_DIRECTIONS.includes(settings.direction)
+  ) {
+    errors.push(
+      `${path}.direction: unknown direction ${JSON.stringify(settings.direction)} (expected one of ${WIPE_DIRECTIONS.join(", ")})`
+    );
+  }
+  if (settings.strength !== undefined) {
+    checkNumber(settings.strength, `${path}.strength`, errors, {
+      min: 0,
+      max: 1,
+    });
+  }
+}
+
+function validateAnimation(animation, path, errors, animations) {
+  if (animation === undefined || animation === null) return;
+
+  if (typeof animation === "number") {
+    if (!Number.isInteger(animation) || animation < 0) {
+      errors.push(`${path}: clip index must be a whole number >= 0`);
+    }
+    return;
+  }
+
+  if (typeof animation !== "string") {
+    errors.push(
+      `${path}: expected a clip name, clip index or null, got ${JSON.stringify(animation)}`
+    );
+    return;
+  }
+
+  // Names can only be checked once the model's clips are known
+  if (animations && !animations.some((clip) => clip.name === animation)) {
+    const available = animations.map((clip) => `"${clip.name}"`).join(", ");
+    errors.push(
+      `${path}: "${animation}" is not an animation in the model (available: ${available || "none"})`
+    );
+  }
+}
+
+/* =======================
+  Validation
+======================= */
+// Accepts `{ scenes: [...] }` or a bare array of scenes
+const sceneList = (definition) =>
+  Array.isArray(definition) ? definition : definition?.scenes;
+
+// The definition's light rig, or the default one
+const lightRig = (definition) =>
+  (!Array.isArray(definition) && definition?.lights) || DEFAULT_LIGHT_RIG;
+
+// Returns a list of human-readable errors, each prefixed with the path of the
+// offending value (e.g. "scenes[0].lightKeyframes[2].spotlight.angle").
+// Pass the GLB's `animations` to also check clip names, and its scene as
+// `model` to check the node names camera keyframes refer to.
+export function validateScenes(definition, { animations, model } = {}) {
+  const errors = [];
+  const scenes = sceneList(definition);
+
+  if (!Array.isArray(scenes)) {
+    return ["scenes: expected an array of scenes"];
+  }
+  if (scenes.length === 0) {
+    return ["scenes: needs at least one scene"];
+  }
+
+  const rig = lightRig(definition);
+  validateLightRig(rig, errors);
+  // Keyframes can only be checked against a valid rig
+  const validRig = errors.length === 0;
+
+  scenes.forEach((scene, i) => {
+    const path = `scenes[${i}]`;
+    if (!isObject(scene)) {
+      errors.push(`${path}: expected an object`);
+      return;
+    }
+
+    checkKeys(scene, SCENE_KEYS, path, errors);
+
+    if (typeof scene.name !== "string" || scene.name.length === 0) {
+      errors.push(`${path}.name: missing scene name`);
+    }
+    checkNumber(scene.duration, `${path}.duration`, errors, { above: 0 });
+    validateAnimation(scene.animation, `${path}.animation`, errors, animations);
+
+    checkEasing(scene.easing, `${path}.easing`, errors);
+    validateTransition(
+      scene.transition,
+      `${path}.transition`,
+      errors,
+      scene.duration
+    );
+
+    if (
+      scene.path !== undefined &&
+      scene.path !== "linear" &&
+      !SPLINE_PATH_TYPES.includes(scene.path)
+    ) {
+      errors.push(
+        `${path}.path: unknown path type "${scene.path}" (expected one of linear, ${SPLINE_PATH_TYPES.join(", ")})`
+      );
+    } else if (
+      SPLINE_PATH_TYPES.includes(scene.path) &&
+      Array.isArray(scene.cameraKeyframes) &&
+      scene.cameraKeyframes.length < 2
+    ) {
+      errors.push(
+        `${path}.cameraKeyframes: a "${scene.path}" path needs at least two keyframes`
+      );
+    }
+
+    // The camera moves either by keyframes or by shots
+    if (scene.shots === undefined) {
+      validateCameraKeyframes(
+        scene.cameraKeyframes,
+        `${path}.cameraKeyframes`,
+        errors,
+        model
+      );
+    } else if (scene.cameraKeyframes !== undefined) {
+      errors.push(
+        `${path}.shots: a scene takes either cameraKeyframes or shots, not both`
+      );
+    } else {
+      validateShots(
+        scene.shots,
+        `${path}.shots`,
+        errors,
+        model,
+        scene.duration
+      );
+    }
+    if (validRig) {
+      validateLightKeyframes(
+        scene.lightKeyframes,
+        `${path}.lightKeyframes`,
+        errors,
+        rig
+      );
+    }
+    validateEffectKeyframes(
+      scene.effectKeyframes,
+      `${path}.effectKeyframes`,
+      errors,
+      model
+    );
+  });
+
+  return errors;
+}
+
+/* =======================
+  Parsing
+======================= */
+const toVector = (value) => new THREE.Vector3(...value);
+
+const nodeName = (target) =>
+  target === "model" ? null : target.slice(NODE_PREFIX.length);
+
+// World vectors become THREE.Vector3; model-relative points keep their
+// description for placeScene()
+function parsePoint(value) {
+  if (Array.isArray(value)) return toVector(value);
+  if (typeof value === "string") {
+    return { node: nodeName(value), box: null, offset: null };
+  }
+  if (value.fit !== undefined) {
+    return {
+      fit: nodeName(value.fit),
+      direction: toVector(value.direction),
+      margin: value.margin,
+    };
+  }
+  return {
+    node: value.node ?? null,
+    box: value.box ? toVector(value.box) : null,
+    offset: value.offset ? toVector(value.offset) : null,
+  };
+}
+
+// Keyframes without an easing of their own use the scene's
+const keyframeEasing = (keyframe) =>
+  keyframe.easing === undefined ? undefined : resolveEasing(keyframe.easing);
+
+// Fills in every property of each light's type, from the light or the
+// property's default
+export function parseLightRig(lights) {
+  return lights.map((light) => ({
+    name: light.name,
+    type: light.type,
+    values: Object.fromEntries(
+      LIGHT_TYPES[light.type].props.map((prop) => [
+        prop,
+        toLightValue(prop, light[prop] ?? LIGHT_PROPS[prop].default),
+      ])
+    ),
+  }));
+}
+
+// Gives every keyframe a complete set of light values, carrying forward
+// whatever a keyframe leaves out from the one before (or the rig)
+function parseLightKeyframes(keyframes, rig) {
+  let previous = Object.fromEntries(
+    rig.map((light) => [light.name, light.values])
+  );
+
+  return keyframes.map((keyframe) => {
+    const lights = {};
+    rig.forEach(({ name }) => {
+      const values = { ...previous[name] };
+      Object.entries(keyframe[name] ?? {}).forEach(([prop, value]) => {
+        values[prop] = toLightValue(prop, value);
+      });
+      lights[name] = values;
+    });
+    previous = lights;
+
+    return { time: keyframe.time, easing: keyframeEasing(keyframe), lights };
+  });
+}
+
+// Keeps effect keyframes sparse: the `postProcessing` prop they fall back on
+// is only known at render time
+function parseEffectKeyframes(keyframes) {
+  return keyframes.map((keyframe) => {
+    const effects = {};
+    Object.keys(EFFECT_PROPS).forEach((effect) => {
+      if (keyframe[effect] === undefined) return;
+      const { focus, ...values } = keyframe[effect];
+      effects[effect] = values;
+      if (focus !== undefined) {
+        effects[effect].focus = focus === "lookAt" ? focus : parsePoint(focus);
+      }
+    });
+    return {
+      time: keyframe.time,
+      easing: keyframeEasing(keyframe),
+      exposure: keyframe.exposure,
+      effects,
+    };
+  });
+}
+
+function resolveAnimation(animation, animations = []) {
+  if (typeof animation === "number") {
+    return animations[animation]?.name || animations[0]?.name || null;
+  }
+  return animation ?? null;
+}
+
+// Validates the definition and converts it into the runtime scene objects
+// consumed by CinematicSceneManager. Throws SceneValidationError.
+export function parseScenes(definition, { animations, model } = {}) {
+  const errors = validateScenes(definition, { animations, model });
+  if (errors.length > 0) {
+    throw new SceneValidationError(errors);
+  }
+
+  const lights = parseLightRig(lightRig(definition));
+
+  return sceneList(definition).map((scene) => {
+    // Shots expand into camera keyframes. The focus they pull stays a track
+    // of its own, so it doesn't reshape the scene's effect keyframes.
+    let definedKeyframes = scene.cameraKeyframes;
+    let focusKeyframes = null;
+    if (scene.shots) {
+      const shots = expandShots(scene.shots, { easing: scene.easing });
+      definedKeyframes = shots.cameraKeyframes;
+      if (shots.effectKeyframes.length > 0) {
+        focusKeyframes = parseEffectKeyframes(shots.effectKeyframes);
+      }
+    }
+
+    const cameraKeyframes = definedKeyframes.map((keyframe) => ({
+      time: keyframe.time,
+      position: parsePoint(keyframe.position),
+      lookAt: parsePoint(keyframe.lookAt),
+      fov: keyframe.fov,
+      easing: keyframeEasing(keyframe),
+    }));
+    const spline = SPLINE_PATH_TYPES.includes(scene.path);
+    // Model-relative keyframes get their path once they are placed
+    const relative = cameraKeyframes.some(
+      (keyframe) => !keyframe.position.isVector3 || !keyframe.lookAt.isVector3
+    );
+
+    return {
+      name: scene.name,
+      duration: scene.duration,
+      animation: resolveAnimation(scene.animation, animations),
+      easing: resolveEasing(scene.easing ?? "smootherstep"),
+      transition: parseTransition(scene.transition),
+      cameraKeyframes,
+      cameraPath:
+        spline && !relative
+          ? createCameraPath(cameraKeyframes, scene.path)
+          : null,
+      pathType: spline ? scene.path : null,
+      relative,
+      lights,
+      lightKeyframes: parseLightKeyframes(scene.lightKeyframes, lights),
+      effectKeyframes: scene.effectKeyframes
+        ? parseEffectKeyframes(scene.effectKeyframes)
+        : null,
+      focusKeyframes,
+    };
+  });
+}
+
+/* =======================
+  Placement
+======================= */
+// Resolves a scene's model-relative camera keyframes to world positions on
+// `model` (the loaded GLB scene, already in place), for a view of `aspect`.
+// Fitted positions fit the keyframe's FOV, or the last one set before it,
+// or `fov`. Scenes with only world positions come back as they are.
+export function placeScene(scene, model, { aspect, fov }) {
+  if (!scene.relative) return scene;
+
+  let currentFov = fov;
+  const cameraKeyframes = scene.cameraKeyframes.map((keyframe) => {
+    currentFov = keyframe.fov ?? currentFov;
+    const lookAt = resolveAnchor(keyframe.lookAt, model);
+    const position =
+      keyframe.position.fit !== undefined
+        ? resolveFitPosition(
+            keyframe.position,
+            lookAt,
+            model,
+            currentFov,
+            aspect
+          )
+        : resolveAnchor(keyframe.position, model);
+    return { ...keyframe, position, lookAt };
+  });
+
+  return {
+    ...scene,
+    cameraKeyframes,
+    cameraPath: scene.pathType
+      ? createCameraPath(cameraKeyframes, scene.pathType)
+      : null,
+  };
+}
+
+// Resolves model-relative depth-of-field focus points in effect keyframes
+export function placeEffectKeyframes(keyframes, model) {
+  const relative = keyframes?.some((keyframe) => {
+    const focus = keyframe.effects.depthOfField?.focus;
+    return focus && focus !== "lookAt" && !focus.isVector3;
+  });
+  if (!relative) return keyframes;
+
+  return keyframes.map((keyframe) => {
+    const depthOfField = keyframe.effects.depthOfField;
+    if (!depthOfField?.focus || depthOfField.focus === "lookAt") {
+      return keyframe;
+    }
+    return {
+      ...keyframe,
+      effects: {
+        ...keyframe.effects,
+        depthOfField: {
+          ...depthOfField,
+          focus: resolveAnchor(depthOfField.focus, model),
+        },
+      },
+    };
+  });
+}
+
+/* =======================
+  Loading
+======================= */
+// Accepts a scene definition or a URL pointing at one
+export async function loadScenes(source) {
+  if (typeof source !== "string") return source;
+
+  const response = await fetch(encodeURI(source));
+  if (!response.ok) {
+    throw new Error(
+      `Failed to load scenes from ${source}: ${response.status} ${response.statusText}`
+    );
+  }
+  return response.json();
+}
+
+// Resolves the `scenes` prop into a definition object. URLs resolve
+// asynchronously; until then (or if loading fails) the hook returns null.
+export function useSceneDefinition(source) {
+  const [loaded, setLoaded] = useState(null);
+
+  useEffect(() => {
+    if (typeof source !== "string") return;
+
+    let cancelled = false;
+
+    loadScenes(source)
+      .then((definition) => {
+        if (!cancelled) setLoaded({ source, definition });
+      })
+      .catch((error) => {
+        console.error("[LandmarkMarketsBooth] Scenes:", error);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [source]);
+
+  if (typeof source !== "string") return source;
+  return loaded && loaded.source === source ? loaded.definition : null;
+}
@@ -0,0 +1,229 @@
+import { resolveEasing } from "./easings";
+
+/* =======================
+  Camera Shots
+======================= */
+// High-level shot descriptors that expand into the keyframes a scene plays,
+// so common camera moves don't have to be keyframed by hand:
+//
+//   "shots": [
+//     { "type": "orbit", "target": "node:Counter", "from": 0, "to": 180, "radius": 4, "duration": 5 },
+//     { "type": "pushIn", "target": "node:Screen_01", "distance": 3, "duration": 3 }
+//   ]
+//
+// Shots play back to back, cut from one to the next and add up to the
+// scene's duration. Targets and positions take the same points as camera
+// keyframes: [x, y, z], "node:<name>" or an anchor on a bounding box. A shot
+// without a target looks at the center of the model.
+
+// Settings every shot takes
+export const SHOT_KEYS = ["type", "duration", "easing", "fov"];
+
+const target = { kind: "point", default: {} };
+const direction = { kind: "direction", default: [0, 0, 1] };
+
+// Shot type -> its settings. `kind` is "point", "position" (a point or a
+// fitted position), "direction" or a number with the given range.
+export const SHOT_TYPES = {
+  // Circles the target at `radius`, `height` above it. Angles are in
+  // degrees: 0 looks from +z, and they grow counterclockwise seen from above.
+  orbit: {
+    target,
+    from: { default: 0 },
+    to: { default: 360 },
+    radius: { required: true, above: 0 },
+    height: { default: 0 },
+  },
+  // Travels along `direction` from `from` to `to` world units off the target
+  dolly: {
+    target,
+    direction,
+    from: { required: true, above: 0 },
+    to: { required: true, above: 0 },
+  },
+  // A dolly in from `distance`, closing `amount` of the way to the target
+  pushIn: {
+    target,
+    direction,
+    distance: { required: true, above: 0 },
+    amount: { default: 0.25, above: 0, max: 0.9 },
+  },
+  // Rises (or sinks) from `from` to `to` world units, `distance` out along
+  // `direction`, looking at the target all the way
+  crane: {
+    target,
+    direction,
+    distance: { required: true, above: 0 },
+    from: { default: 0 },
+    to: { required: true },
+  },
+  // Holds the frame while depth of field pulls focus from `from` to `to`
+  rackFocus: {
+    position: { kind: "position", required: true },
+    target,
+    from: { kind: "point", required: true },
+    to: { kind: "point", required: true },
+    range: { default: 1, above: 0 },
+    bokehScale: { default: 4, min: 0 },
+  },
+  // A static frame
+  hold: {
+    position: { kind: "position", required: true },
+    target,
+  },
+};
+
+// Largest turn between two sampled orbit keyframes, in degrees
+const ORBIT_STEP = 10;
+
+const round = (value) => Math.round(value * 1e4) / 1e4;
+
+// `point` moved by `offset` world units, keeping its form: vectors stay
+// vectors and model-relative points gain an anchor offset
+function offsetPoint(point, offset) {
+  if (Array.isArray(point)) return point.map((n, i) => round(n + offset[i]));
+
+  const anchor =
+    typeof point === "string" ? { node: point.slice("node:".length) } : point;
+  const base = anchor.offset ?? [0, 0, 0];
+  return { ...anchor, offset: base.map((n, i) => round(n + offset[i])) };
+}
+
+// Offset of `distance` world units along `direction`
+function along(direction, distance) {
+  const length = Math.hypot(...direction);
+  return direction.map((n) => (n / length) * distance);
+}
+
+// Builders return keyframes at `at` (0-1) through the shot; `ease` is the
+// shot's easing, for builders that sample their move
+const SHOT_BUILDERS = {
+  orbit: (shot, ease) => {
+    const steps = Math.max(
+      1,
+      Math.ceil(Math.abs(shot.to - shot.from) / ORBIT_STEP)
+    );
+    return Array.from({ length: steps + 1 }, (_, i) => {
+      const angle =
+        ((shot.from + (shot.to - shot.from) * ease(i / steps)) * Math.PI) / 180;
+      return {
+        at: i / steps,
+        position: offsetPoint(shot.target, [
+          Math.sin(angle) * shot.radius,
+          shot.height,
+          Math.cos(angle) * shot.radius,
+        ]),
+        lookAt: shot.target,
+        // The shot's easing is already in the samples
+        easing: "linear",
+      };
+    });
+  },
+  dolly: (shot) =>
+    [shot.from, shot.to].map((distance, i) => ({
+      at: i,
+      position: offsetPoint(shot.target, along(shot.direction, distance)),
+      lookAt: shot.target,
+    })),
+  pushIn: (shot) =>
+    SHOT_BUILDERS.dolly({
+      ...shot,
+      from: shot.distance,
+      to: shot.distance * (1 - shot.amount),
+    }),
+  crane: (shot) =>
+    [shot.from, shot.to].map((height, i) => {
+      const [x, y, z] = along(shot.direction, shot.distance);
+      return {
+        at: i,
+        position: offsetPoint(shot.target, [x, y + height, z]),
+        lookAt: shot.target,
+      };
+    }),
+  rackFocus: (shot) => SHOT_BUILDERS.hold(shot),
+  hold: (shot) =>
+    [0, 1].map((at) => ({
+      at,
+      position: shot.position,
+      lookAt: shot.target,
+    })),
+};
+
+// The shot's settings, with defaults for those it leaves out
+function shotSettings(shot) {
+  const settings = { ...shot };
+  Object.entries(SHOT_TYPES[shot.type]).forEach(([prop, spec]) => {
+    if (settings[prop] === undefined) settings[prop] = spec.default;
+  });
+  return settings;
+}
+
+// Expands shots, one after the other from the start of the scene, into
+// `{ cameraKeyframes, effectKeyframes }` in the scene definition format.
+// Shots without an easing of their own use the scene's `easing`. Expects
+// shots that validateScenes() accepts.
+//
+// `effectKeyframes` is the focus track of the rack focus shots, empty
+// without any. Keyframe tracks are stretched over the scene up to their last
+// keyframe, so it runs from the start to the end of the shots like the
+// camera track does. Outside a rack focus, shots focus on what they look at,
+// held until the next rack focus cuts in. The booth plays the track over
+// the scene's own effect keyframes rather than merging them.
+export function expandShots(shots, { easing = "smootherstep" } = {}) {
+  const cameraKeyframes = [];
+  const effectKeyframes = [];
+  let start = 0;
+
+  shots.forEach((shot, i) => {
+    const settings = shotSettings(shot);
+    const time = (at) => round(start + at * shot.duration);
+    const ease = resolveEasing(shot.easing ?? easing);
+
+    SHOT_BUILDERS[shot.type](settings, ease).forEach(({ at, ...keyframe }) => {
+      cameraKeyframes.push({
+        time: time(at),
+        ...keyframe,
+        ...(shot.fov !== undefined && { fov: shot.fov }),
+        ...(keyframe.easing === undefined &&
+          shot.easing !== undefined && { easing: shot.easing }),
+      });
+    });
+
+    if (shot.type === "rackFocus") {
+      const { range, bokehScale } = settings;
+      effectKeyframes.push(
+        {
+          time: time(0),
+          ...(shot.easing !== undefined && { easing: shot.easing }),
+          depthOfField: { focus: settings.from, range, bokehScale },
+        },
+        { time: time(1), depthOfField: { focus: settings.to } }
+      );
+      // Later shots focus on what they look at again
+      if (i < shots.length - 1) {
+        effectKeyframes.push({
+          time: time(1),
+          easing: "hold",
+          depthOfField: { focus: "lookAt" },
+        });
+      }
+    }
+    start += shot.duration;
+  });
+
+  if (effectKeyframes.length > 0) {
+    if (effectKeyframes[0].time > 0) {
+      effectKeyframes.unshift({
+        time: 0,
+        easing: "hold",
+        depthOfField: { focus: "lookAt" },
+      });
+    }
+    const end = round(start);
+    if (effectKeyframes[effectKeyframes.length - 1].time < end) {
+      effectKeyframes.push({ time: end });
+    }
+  }
+
+  return { cameraKeyframes, effectKeyframes };
+}
@@ -0,0 +1,160 @@
+import { useEffect, useState } from "react";
+import { getProject, types, val } from "@theatre/core";
+import { downloadBlob } from "./download";
+
+/* =======================
+  Theatre Object Definitions
+======================= */
+// Prop shapes for every object the booth exposes on a Theatre sheet. The
+// keys match the object names used in exported project state files such as
+// "Broker Booth.theatre-project-state.json".
+const vector = (x, y, z) => types.compound({ x, y, z });
+
+export const theatreObjectProps = {
+  Camera: {
+    position: vector(8, 3, 8),
+    lookAt: vector(0, 1, 0),
+    fov: types.number(50, { range: [1, 120] }),
+    near: types.number(0.1, { range: [0.001, 10] }),
+    far: types.number(1000, { range: [10, 10000] }),
+  },
+  AmbientLight: {
+    intensity: types.number(0.5, { range: [0, 5] }),
+  },
+  DirectionalLight1: {
+    intensity: types.number(1, { range: [0, 10] }),
+    position: vector(5, 10, 5),
+  },
+  DirectionalLight2: {
+    intensity: types.number(0.3, { range: [0, 10] }),
+    position: vector(-5, 5, -5),
+  },
+  SpotLight: {
+    intensity: types.number(0, { range: [0, 10] }),
+    angle: types.number(0.5, { range: [0, Math.PI / 2] }),
+    penumbra: types.number(0.8, { range: [0, 1] }),
+    position: vector(0, 8, 3),
+  },
+  Model: {
+    position: vector(0, 0, 0),
+    rotation: vector(0, 0, 0),
+    scale: types.number(1, { range: [0.01, 100] }),
+  },
+};
+
+/* =======================
+  Studio (Development Only)
+======================= */
+let studioPromise = null;
+
+// Loads and opens Theatre Studio once. Studio is only bundled for dev builds:
+// in production `import.meta.env.DEV` is false and the import is dropped.
+export function initializeTheatreStudio() {
+  if (!import.meta.env.DEV) return Promise.resolve(null);
+
+  if (!studioPromise) {
+    studioPromise = import("@theatre/studio").then(({ default: studio }) => {
+      studio.initialize();
+      return studio;
+    });
+  }
+  return studioPromise;
+}
+
+// Downloads the project's current state in the same format as the shipped
+// "<project>.theatre-project-state.json" files
+export async function exportTheatreState(projectId) {
+  const studio = await initializeTheatreStudio();
+  if (!studio) return;
+
+  const state = studio.createContentOfSaveFile(projectId);
+  const blob = new Blob([JSON.stringify(state, null, 2)], {
+    type: "application/json",
+  });
+  downloadBlob(blob, `${projectId}.theatre-project-state.json`);
+}
+
+/* =======================
+  Project State Loading
+======================= */
+// Projects are registered once per id: Theatre ignores (and warns about)
+// state passed to getProject() for an id that already exists.
+const projects = new Map();
+
+function getTheatreProject(projectId, state) {
+  if (!projects.has(projectId)) {
+    projects.set(projectId, getProject(projectId, state ? { state } : {}));
+  }
+  return projects.get(projectId);
+}
+
+// Accepts either an exported project state object or a URL pointing at one.
+export async function loadTheatreState(source) {
+  if (!source) return null;
+  if (typeof source !== "string") return source;
+
+  const response = await fetch(encodeURI(source));
+  if (!response.ok) {
+    throw new Error(
+      `Failed to load Theatre state from ${source}: ${response.status} ${response.statusText}`
+    );
+  }
+  return response.json();
+}
+
+/* =======================
+  Theatre Sheet Hook
+======================= */
+// Resolves `theatreState` into a sheet handle the cinematic components can
+// drive: the sheet itself, its sequence length and the registered objects.
+// With `editable`, Studio is opened first and a project is created even when
+// there is no state to start from.
+export function useTheatreSheet(theatreState, projectId, sheetId, editable) {
+  const [loaded, setLoaded] = useState(null);
+
+  useEffect(() => {
+    if (!theatreState && !editable) return;
+
+    let cancelled = false;
+
+    Promise.all([
+      loadTheatreState(theatreState),
+      editable ? initializeTheatreStudio() : null,
+    ])
+      .then(async ([state]) => {
+        const project = getTheatreProject(projectId, state);
+        await project.ready;
+        if (cancelled) return;
+
+        const sheet = project.sheet(sheetId);
+        const objects = {};
+        Object.entries(theatreObjectProps).forEach(([key, props]) => {
+          objects[key] = sheet.object(key, props);
+        });
+
+        setLoaded({
+          source: theatreState,
+          handle: {
+            sheet,
+            objects,
+            length: val(sheet.sequence.pointer.length),
+          },
+        });
+      })
+      .catch((error) => {
+        console.error("[LandmarkMarketsBooth] Theatre state:", error);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [theatreState, projectId, sheetId, editable]);
+
+  // A handle loaded for a previous `theatreState` is never handed out
+  return loaded && loaded.source === theatreState ? loaded.handle : null;
+}
+
+// Moves the sheet's playhead to a point in its sequence, in seconds
+export function seekTheatreSheet(theatre, position) {
+  theatre.sheet.sequence.position = position;
+}
@@ -0,0 +1,136 @@
+/* =======================
+  Playback Timeline
+======================= */
+// Single clock for the whole cinematic. Every camera and light controller
+// derives its pose from `time`, and segment ends are detected here too, so
+// visuals and scene-end logic can never drift apart. The clock only advances
+// when update() is called from the render loop.
+export class Timeline {
+  constructor() {
+    this.time = 0;
+    this.rate = 1;
+    this.playing = false;
+    // Time at which playback stops and "end" is emitted (null: never)
+    this.end = null;
+    // Time at which reverse playback stops and "start" is emitted
+    this.start = 0;
+    // Timeline seconds covered by the last update(), for time-based smoothing
+    this.delta = 0;
+    this.listeners = new Map();
+  }
+
+  on(event, listener) {
+    if (!this.listeners.has(event)) this.listeners.set(event, new Set());
+    this.listeners.get(event).add(listener);
+    return () => this.listeners.get(event).delete(listener);
+  }
+
+  emit(event, ...args) {
+    this.listeners.get(event)?.forEach((listener) => listener(...args));
+  }
+
+  update(delta) {
+    const previous = this.time;
+    this.delta = 0;
+    if (!this.playing) return;
+
+    this.time += delta * this.rate;
+    const ended = this.end !== null && this.time >= this.end;
+    const rewound = !ended && this.rate < 0 && this.time <= this.start;
+
+    // Time played past the boundary, for listeners that carry on playing
+    let overshoot = 0;
+    if (ended) {
+      overshoot = this.time - this.end;
+      this.time = this.end;
+      this.playing = false;
+    } else if (rewound) {
+      overshoot = this.start - this.time;
+      this.time = this.start;
+      this.playing = false;
+    }
+    this.delta = Math.abs(this.time - previous);
+    this.emit("update", this.time);
+
+    // Listeners may seek or play the next (or previous) segment straight away
+    if (ended) this.emit("end", this.time, overshoot);
+    if (rewound) this.emit("start", this.time, overshoot);
+  }
+
+  play() {
+    this.playing = true;
+    this.emit("play");
+  }
+
+  pause() {
+    this.playing = false;
+    this.emit("pause");
+  }
+
+  // Non-finite times and rates are ignored: one NaN would spread to every
+  // controller reading the clock
+  seek(time) {
+    if (!Number.isFinite(time)) return;
+    this.time = Math.max(0, time);
+    this.emit("seek", this.time);
+  }
+
+  setRate(rate) {
+    if (!Number.isFinite(rate)) return;
+    this.rate = rate;
+    this.emit("rate", rate);
+  }
+
+  setEnd(end) {
+    this.end = end;
+  }
+
+  setStart(start) {
+    this.start = start;
+  }
+}
+
+/* =======================
+  Timeline Segments
+======================= */
+// Lays the cinematic out end to end: the 360 intro, every scene in order,
+// then the return to the 360 end pose.
+export function buildTimelineSegments({
+  introDuration,
+  scenes,
+  returnDuration,
+}) {
+  const segments = [];
+  let start = 0;
+
+  const add = (segment, duration) => {
+    segments.push({ ...segment, start, end: start + duration });
+    start += duration;
+  };
+
+  add({ type: "intro" }, introDuration);
+  scenes.forEach((scene, index) => {
+    add({ type: "scene", index }, scene.duration);
+  });
+  if (scenes.length > 0) {
+    add({ type: "return" }, returnDuration);
+  }
+
+  return segments;
+}
+
+// Finds the segment playing at `time`; a time on a boundary belongs to the
+// segment that starts there
+export function findSegment(segments, time) {
+  return (
+    segments.find((segment) => time >= segment.start && time < segment.end) ||
+    segments[segments.length - 1]
+  );
+}
+
+// Segments are rebuilt when the scenes change, so compare by position
+export const isSameSegment = (a, b) =>
+  Boolean(a && b) &&
+  a.type === b.type &&
+  a.start === b.start &&
+  a.end === b.end;
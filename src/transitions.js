@@ -0,0 +1,177 @@
+import * as THREE from "three";
+
+/* =======================
+  Scene Transitions
+======================= */
+// How a scene takes over from the view before it: the previous scene's end
+// pose, the intro, or wherever a visitor left the camera. Transitions play
+// over the first `duration` seconds of the scene, on the timeline.
+export const TRANSITION_TYPES = ["cut", "crossfade", "dip", "wipe", "zoomBlur"];
+export const WIPE_DIRECTIONS = ["left", "right", "up", "down"];
+
+export const DEFAULT_TRANSITION = {
+  duration: 1,
+  color: "#000000", // dip
+  direction: "left", // wipe: the way the edge travels
+  strength: 0.4, // zoom blur: share of the frame smeared at the peak
+};
+
+const WIPE_VECTORS = {
+  left: [-1, 0],
+  right: [1, 0],
+  up: [0, 1],
+  down: [0, -1],
+};
+
+// Accepts a type name or `{ type, duration, ... }`. A cut needs no
+// rendering, so it parses to null.
+export function parseTransition(transition) {
+  if (transition === undefined) return null;
+  const settings = {
+    ...DEFAULT_TRANSITION,
+    ...(typeof transition === "string" ? { type: transition } : transition),
+  };
+  if (settings.type === "cut") return null;
+
+  // Colors are blended with the frames as they appear on screen
+  const { r, g, b } = new THREE.Color(settings.color).getRGB(
+    {},
+    THREE.SRGBColorSpace
+  );
+  return { ...settings, color: new THREE.Vector3(r, g, b) };
+}
+
+/* =======================
+  Transition Compositing
+======================= */
+const MODES = { crossfade: 0, dip: 1, wipe: 2, zoomBlur: 3 };
+
+// Blends the frame seen from the outgoing view (`from`) with the incoming
+// one (`to`). Both are copies of the finished screen, so they are sampled
+// and written back as is.
+const vertexShader = /* glsl */ `
+  varying vec2 vUv;
+  void main() {
+    vUv = uv;
+    gl_Position = vec4(position.xy, 0.0, 1.0);
+  }
+`;
+
+const fragmentShader = /* glsl */ `
+  uniform sampler2D from;
+  uniform sampler2D to;
+  uniform float progress;
+  uniform int mode;
+  uniform vec3 color;
+  uniform vec2 direction;
+  uniform float strength;
+  varying vec2 vUv;
+
+  vec4 zoomBlur(sampler2D frame, float amount) {
+    vec4 sum = vec4(0.0);
+    for (int i = 0; i < 16; i++) {
+      float scale = 1.0 - amount * float(i) / 15.0;
+      sum += texture2D(frame, 0.5 + (vUv - 0.5) * scale);
+    }
+    return sum / 16.0;
+  }
+
+  void main() {
+    vec4 a = texture2D(from, vUv);
+    vec4 b = texture2D(to, vUv);
+
+    if (mode == 1) {
+      // Out to the color over the first half, in from it over the second
+      vec4 dip = vec4(color, 1.0);
+      gl_FragColor = progress < 0.5
+        ? mix(a, dip, progress * 2.0)
+        : mix(dip, b, progress * 2.0 - 1.0);
+    } else if (mode == 2) {
+      // Position along the wipe, 0 where the edge starts and 1 where it ends
+      float along = dot(vUv - 0.5, direction) + 0.5;
+      float softness = 0.02;
+      float edge = progress * (1.0 + 2.0 * softness) - softness;
+      gl_FragColor = mix(a, b, 1.0 - smoothstep(edge - softness, edge + softness, along));
+    } else if (mode == 3) {
+      // Blur builds up on the outgoing view, then eases off the incoming one
+      float amount = sin(progress * 3.14159265) * strength;
+      gl_FragColor = mix(
+        zoomBlur(from, amount),
+        zoomBlur(to, amount),
+        smoothstep(0.35, 0.65, progress)
+      );
+    } else {
+      gl_FragColor = mix(a, b, progress);
+    }
+  }
+`;
+
+// Everything a transition renders with: the two frame copies and the
+// full-screen quad that blends them
+export function createTransitionCompositor() {
+  const material = new THREE.ShaderMaterial({
+    vertexShader,
+    fragmentShader,
+    uniforms: {
+      from: { value: null },
+      to: { value: null },
+      progress: { value: 0 },
+      mode: { value: 0 },
+      color: { value: new THREE.Vector3() },
+      direction: { value: new THREE.Vector2(-1, 0) },
+      strength: { value: DEFAULT_TRANSITION.strength },
+    },
+    depthTest: false,
+    depthWrite: false,
+    toneMapped: false,
+  });
+  const quad = new THREE.Mesh(new THREE.PlaneGeometry(2, 2), material);
+  quad.frustumCulled = false;
+  const scene = new THREE.Scene();
+  scene.add(quad);
+
+  return {
+    scene,
+    camera: new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1),
+    material,
+    from: null,
+    to: null,
+  };
+}
+
+// Copies what is on screen into the compositor's `slot` ("from" or "to"),
+// sizing its texture to the drawing buffer
+export function copyScreen(compositor, gl, slot) {
+  const size = gl.getDrawingBufferSize(new THREE.Vector2());
+  let texture = compositor[slot];
+  if (
+    !texture ||
+    texture.image.width !== size.x ||
+    texture.image.height !== size.y
+  ) {
+    texture?.dispose();
+    texture = new THREE.FramebufferTexture(size.x, size.y);
+    compositor[slot] = texture;
+    compositor.material.uniforms[slot].value = texture;
+  }
+  gl.setRenderTarget(null);
+  gl.copyFramebufferToTexture(texture);
+}
+
+// Draws the blend of the two copies `progress` (0-1) of the way through
+export function drawTransition(compositor, gl, transition, progress) {
+  const { uniforms } = compositor.material;
+  uniforms.progress.value = progress;
+  uniforms.mode.value = MODES[transition.type];
+  uniforms.color.value.copy(transition.color);
+  uniforms.direction.value.set(...WIPE_VECTORS[transition.direction]);
+  uniforms.strength.value = transition.strength;
+  gl.render(compositor.scene, compositor.camera);
+}
+
+export function disposeTransitionCompositor(compositor) {
+  compositor.from?.dispose();
+  compositor.to?.dispose();
+  compositor.material.dispose();
+  compositor.scene.children[0].geometry.dispose();
+}
@@ -4,4 +4,13 @@ import react from '@vitejs/plugin-react'
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react()],
+  build: {
+    rollupOptions: {
+      // The app, plus the booth page partner sites embed in an iframe
+      input: {
+        main: 'index.html',
+        embed: 'embed.html',
+      },
+    },
+  },
 })
@@ -0,0 +1,20 @@
+import { defineConfig } from 'vite'
+import react from '@vitejs/plugin-react'
+
+// Builds the <lm-booth> custom element as a single ES module with React and
+// three.js bundled, for pages that don't use React
+export default defineConfig({
+  plugins: [react()],
+  define: {
+    'process.env.NODE_ENV': JSON.stringify('production'),
+  },
+  publicDir: false,
+  build: {
+    outDir: 'dist/element',
+    lib: {
+      entry: 'src/embed/element.jsx',
+      formats: ['es'],
+      fileName: () => 'lm-booth.js',
+    },
+  },
+})